@@ -0,0 +1,16 @@
+import pkg from 'pg';
+
+// ✅ POSTGRES CONNECTION
+// One pool definition for the API server, the Tally sync service and the CLI scripts.
+// Credentials come from the environment (PGPASSWORD, or ~/.pgpass); none are built in.
+export const createPool = (options = {}) => new pkg.Pool({
+  host: process.env.PGHOST || "localhost",
+  user: process.env.PGUSER || "postgres",
+  password: process.env.PGPASSWORD,
+  database: process.env.PGDATABASE || "order_management",
+  port: process.env.PGPORT || 5432,
+  max: 20, // Maximum number of clients in the pool
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 2000,
+  ...options,
+});
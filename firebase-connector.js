@@ -1,7 +1,19 @@
 import express from "express";
-import pkg from "pg";
 import cors from "cors";
 import admin from 'firebase-admin';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { decodePriceListFile, parsePriceList, planPriceListImport, applyPriceListImport } from './price-list-import.js';
+import { renderOrderPdf, documentTitleForStatus } from './order-pdf.js';
+import { EXPORT_DEFINITIONS, selectExportColumns, streamExport } from './spreadsheet-export.js';
+import { renderOrderEmail, renderInviteEmail, enqueueEmail, deliverEmail, processEmailOutbox, SMTP_CONFIGURED, describeSmtp } from './order-mailer.js';
+import { ROLES, roleForCustomerType, CLAIM_SOURCE_FIELDS, loadPortalIdentity, claimsDiffer, syncUserClaims } from './portal-claims.js';
+import { validateBody, createOrderSchema, updateOrderSchema, orderStatusSchema, customerUpdateSchema, adminSignupSchema } from './request-schemas.js';
+import { createPool } from './db.js';
+import { PRICE_LEVEL_SCHEMA, STOCK_AVAILABILITY_SCHEMA, CUSTOMER_CREDIT_SCHEMA, WEBHOOK_SCHEMA, runSchemaStatements } from './schema.js';
+import { round2, round3, toNumber, isInterStateSupply, repriceOrder, findPricingMismatches } from './order-pricing.js';
+import { businessDateParts, seedOrderNumberCounters, allocateOrderNumber, previewOrderNumber } from './order-numbers.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret, invalidWebhookEvents, assertPublicWebhookUrl, enqueueWebhookEvent, processWebhookDeliveries } from './webhooks.js';
 import serviceAccount from "./config/serviceAccountKey.json" with { type: "json" }; 
 
 const app = express(); 
@@ -36,24 +48,38 @@ const corsOptions = {
     'Accept',
     'Origin',
     'Access-Control-Request-Method',
-    'Access-Control-Request-Headers'
+    'Access-Control-Request-Headers',
+    'X-Request-Id'
   ],
+  exposedHeaders: ['X-Request-Id', 'Content-Disposition'],
   optionsSuccessStatus: 200
 };
+// Behind a load balancer set TRUST_PROXY (a hop count or "loopback", ...) so req.ip is the client.
+// Production always runs behind the platform's proxy, so there it trusts one hop unless told
+// otherwise; without that every caller would share the proxy's address in the login limits.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+} else if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+  console.warn('⚠️ TRUST_PROXY is not set, trusting one proxy hop for client addresses');
+}
+
 // Apply CORS middleware
 app.use(cors(corsOptions));
 app.use(express.json());
-// ✅ POSTGRES CONFIGURATION FOR RAILWAY
-const pool = new pkg.Pool({
-  host: process.env.PGHOST || "localhost",
-  user: process.env.PGUSER || "postgres",
-  password: process.env.PGPASSWORD || "Rup@@.123$",
-  database: process.env.PGDATABASE || "order_management",
-  port: process.env.PGPORT || 5432,
-  max: 20, // Maximum number of clients in the pool
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
+
+// Every request gets an id so audit entries and logs can be tied together. A client
+// id is kept only if it fits audit_log.request_id; anything else gets a fresh one.
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+app.use((req, res, next) => {
+  const sentId = req.get('X-Request-Id');
+  req.requestId = sentId && REQUEST_ID_PATTERN.test(sentId) ? sentId : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
 });
+// ✅ POSTGRES CONFIGURATION FOR RAILWAY
+const pool = createPool();
 
 // Test database connection
 pool.connect((err, client, release) => {
@@ -65,15 +91,311 @@ pool.connect((err, client, release) => {
   }
 });
 
+// ✅ DATABASE SCHEMA (every statement is idempotent, safe to run on each start)
+const schemaStatements = [
+  // Order number series per voucher type
+  `CREATE TABLE IF NOT EXISTS order_number_series (
+    voucher_type VARCHAR(50) PRIMARY KEY,
+    prefix VARCHAR(10) NOT NULL,
+    reset_policy VARCHAR(20) NOT NULL DEFAULT 'daily'
+      CHECK (reset_policy IN ('daily', 'financial_year')),
+    padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 8),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  `INSERT INTO order_number_series (voucher_type, prefix, reset_policy)
+   VALUES ('Sales Order', 'SQ', 'daily')
+   ON CONFLICT (voucher_type) DO NOTHING`,
+  // Last number handed out per prefix and period (a day or a financial year)
+  `CREATE TABLE IF NOT EXISTS order_number_counters (
+    prefix VARCHAR(10) NOT NULL,
+    period_key VARCHAR(20) NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (prefix, period_key)
+  )`,
+  // Orders: one header per order_no, one line per item
+  `CREATE TABLE IF NOT EXISTS order_header (
+    order_no VARCHAR(50) PRIMARY KEY,
+    voucher_type VARCHAR(50) NOT NULL DEFAULT 'Sales Order',
+    order_date DATE,
+    customer_code VARCHAR(50),
+    customer_name VARCHAR(255),
+    executive VARCHAR(255),
+    role VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    total_quantity NUMERIC(14, 3) NOT NULL DEFAULT 0,
+    total_amount_without_tax NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total_cgst_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total_sgst_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total_igst_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    total_amount NUMERIC(14, 2) NOT NULL DEFAULT 0,
+    remarks TEXT,
+    tally_push_status VARCHAR(20),
+    tally_created INTEGER,
+    tally_altered INTEGER,
+    tally_errors INTEGER,
+    tally_response TEXT,
+    tally_pushed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS order_header_customer_code_idx ON order_header (customer_code)`,
+  `CREATE TABLE IF NOT EXISTS order_line (
+    id SERIAL PRIMARY KEY,
+    order_no VARCHAR(50) NOT NULL
+      REFERENCES order_header (order_no) ON UPDATE CASCADE ON DELETE CASCADE,
+    item_code VARCHAR(50),
+    item_name TEXT,
+    hsn VARCHAR(20),
+    gst NUMERIC(5, 2),
+    sgst NUMERIC(14, 2),
+    cgst NUMERIC(14, 2),
+    igst NUMERIC(14, 2),
+    delivery_date DATE,
+    delivery_mode VARCHAR(100),
+    transporter_name VARCHAR(255),
+    quantity NUMERIC(14, 3),
+    uom VARCHAR(20),
+    rate NUMERIC(14, 2),
+    amount NUMERIC(14, 2),
+    net_rate NUMERIC(14, 2),
+    gross_amount NUMERIC(14, 2),
+    disc_percentage NUMERIC(6, 2),
+    disc_amount NUMERIC(14, 2),
+    spl_disc_percentage NUMERIC(6, 2),
+    spl_disc_amount NUMERIC(14, 2),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS order_line_order_no_idx ON order_line (order_no)`,
+  // One-off migration: move the old denormalized orders table into header/line
+  // and keep it around as orders_legacy
+  `DO $$
+  BEGIN
+    IF EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = current_schema() AND table_name = 'orders' AND table_type = 'BASE TABLE'
+    ) THEN
+      INSERT INTO order_header (
+        order_no, voucher_type, order_date, customer_code, customer_name, executive, role, status,
+        total_quantity, total_amount_without_tax, total_cgst_amount, total_sgst_amount,
+        total_igst_amount, total_amount, remarks, created_at
+      )
+      SELECT DISTINCT ON (order_no)
+        order_no,
+        COALESCE(NULLIF(voucher_type, ''), 'Sales Order'),
+        NULLIF(order_date::text, '')::date,
+        customer_code, customer_name, executive, role,
+        COALESCE(NULLIF(status, ''), 'pending'),
+        COALESCE(NULLIF(total_quantity::text, '')::numeric, 0),
+        COALESCE(NULLIF(total_amount_without_tax::text, '')::numeric, 0),
+        COALESCE(NULLIF(total_cgst_amount::text, '')::numeric, 0),
+        COALESCE(NULLIF(total_sgst_amount::text, '')::numeric, 0),
+        COALESCE(NULLIF(total_igst_amount::text, '')::numeric, 0),
+        COALESCE(NULLIF(total_amount::text, '')::numeric, 0),
+        remarks,
+        COALESCE(created_at, NOW())
+      FROM orders
+      WHERE order_no IS NOT NULL
+      ORDER BY order_no, id
+      ON CONFLICT (order_no) DO NOTHING;
+
+      INSERT INTO order_line (
+        id, order_no, item_code, item_name, hsn, gst, sgst, cgst, igst,
+        delivery_date, delivery_mode, transporter_name, quantity, uom, rate, amount,
+        net_rate, gross_amount, disc_percentage, disc_amount, spl_disc_percentage,
+        spl_disc_amount, created_at
+      )
+      SELECT
+        id, order_no, item_code, item_name, hsn,
+        NULLIF(regexp_replace(gst::text, '[^0-9.]', '', 'g'), '')::numeric,
+        NULLIF(sgst::text, '')::numeric,
+        NULLIF(cgst::text, '')::numeric,
+        NULLIF(igst::text, '')::numeric,
+        NULLIF(delivery_date::text, '')::date,
+        delivery_mode, transporter_name,
+        NULLIF(quantity::text, '')::numeric,
+        uom,
+        NULLIF(rate::text, '')::numeric,
+        NULLIF(amount::text, '')::numeric,
+        NULLIF(net_rate::text, '')::numeric,
+        NULLIF(gross_amount::text, '')::numeric,
+        NULLIF(disc_percentage::text, '')::numeric,
+        NULLIF(disc_amount::text, '')::numeric,
+        NULLIF(spl_disc_percentage::text, '')::numeric,
+        NULLIF(spl_disc_amount::text, '')::numeric,
+        COALESCE(created_at, NOW())
+      FROM orders
+      WHERE order_no IS NOT NULL
+      ON CONFLICT (id) DO NOTHING;
+
+      PERFORM setval(
+        pg_get_serial_sequence('order_line', 'id'),
+        GREATEST((SELECT MAX(id) FROM order_line), 1)
+      );
+
+      -- Keep what the Tally connector already pushed, so orders are not created twice
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'orders' AND column_name = 'tally_push_status'
+      ) THEN
+        EXECUTE '
+          UPDATE order_header h
+          SET tally_push_status = o.tally_push_status,
+              tally_created = o.tally_created,
+              tally_altered = o.tally_altered,
+              tally_errors = o.tally_errors,
+              tally_response = o.tally_response,
+              tally_pushed_at = o.tally_pushed_at
+          FROM (
+            SELECT DISTINCT ON (order_no) *
+            FROM orders
+            ORDER BY order_no, tally_pushed_at DESC NULLS LAST
+          ) o
+          WHERE h.order_no = o.order_no';
+      END IF;
+
+      ALTER TABLE orders RENAME TO orders_legacy;
+    END IF;
+  END $$`,
+  // Order lifecycle: free-text statuses from before the workflow are folded in
+  `UPDATE order_header SET status = lower(trim(status)) WHERE status <> lower(trim(status))`,
+  `UPDATE order_header SET status = 'pending'
+   WHERE status NOT IN ('draft', 'pending', 'approved', 'dispatched', 'invoiced', 'closed', 'cancelled')`,
+  `DO $$
+  BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'order_header_status_check') THEN
+      ALTER TABLE order_header ADD CONSTRAINT order_header_status_check
+        CHECK (status IN ('draft', 'pending', 'approved', 'dispatched', 'invoiced', 'closed', 'cancelled'));
+    END IF;
+  END $$`,
+  `CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_no VARCHAR(50) NOT NULL
+      REFERENCES order_header (order_no) ON UPDATE CASCADE ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by VARCHAR(128),
+    changed_by_role VARCHAR(20),
+    reason TEXT,
+    changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS order_status_history_order_no_idx ON order_status_history (order_no)`,
+  // Who changed what, with the old and new values
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_uid VARCHAR(128),
+    actor_role VARCHAR(20),
+    entity VARCHAR(50) NOT NULL,
+    entity_key VARCHAR(100) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    diff JSONB,
+    request_id VARCHAR(64),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity, entity_key)`,
+  `CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_uid)`,
+  `CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at)`,
+  // Stock item type-ahead: trigram indexes when pg_trgm can be installed
+  `DO $$
+  BEGIN
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+  EXCEPTION WHEN insufficient_privilege THEN
+    RAISE NOTICE 'pg_trgm not available, stock item search falls back to plain ILIKE';
+  END $$`,
+  `DO $$
+  BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') THEN
+      CREATE INDEX IF NOT EXISTS stock_item_name_trgm_idx ON stock_item USING gin (stock_item_name gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS stock_item_code_trgm_idx ON stock_item USING gin (item_code gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS stock_item_hsn_trgm_idx ON stock_item USING gin (hsn gin_trgm_ops);
+    END IF;
+  END $$`,
+  // Tables the Tally sync service writes too, see schema.js
+  ...PRICE_LEVEL_SCHEMA,
+  // bcrypt hashes are 60 characters
+  `ALTER TABLE customer ALTER COLUMN password TYPE TEXT`,
+  ...STOCK_AVAILABILITY_SCHEMA,
+  ...CUSTOMER_CREDIT_SCHEMA,
+  `ALTER TABLE order_header
+    ADD COLUMN IF NOT EXISTS credit_hold BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS credit_hold_reason TEXT,
+    ADD COLUMN IF NOT EXISTS credit_hold_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS credit_released_by VARCHAR(128),
+    ADD COLUMN IF NOT EXISTS credit_released_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS credit_check JSONB`,
+  // Order notification emails; failed sends stay pending until the retry worker gets them out
+  `CREATE TABLE IF NOT EXISTS email_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    event VARCHAR(30) NOT NULL,
+    order_no VARCHAR(50),
+    audience VARCHAR(20) NOT NULL,
+    recipients TEXT[] NOT NULL,
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    message_id TEXT,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  // Bodies of messages carrying a one-time link are wiped once sent
+  `ALTER TABLE email_outbox ALTER COLUMN body_text DROP NOT NULL`,
+  `CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS email_outbox_order_no_idx ON email_outbox (order_no)`,
+  // A send in flight when the server stopped is retried
+  `UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'`,
+  ...WEBHOOK_SCHEMA,
+  // A delivery in flight when the server stopped is retried
+  `UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'`,
+  // Compatibility view with the old flat row shape, used by every read endpoint
+  `CREATE OR REPLACE VIEW orders AS
+  SELECT
+    l.id, h.voucher_type, h.order_no, h.order_date, h.status, h.customer_code, h.executive,
+    h.role, h.customer_name, l.item_code, l.item_name, l.hsn, l.gst, l.sgst, l.cgst, l.igst,
+    l.delivery_date, l.delivery_mode, l.transporter_name, l.quantity, l.uom, l.rate, l.amount,
+    l.net_rate, l.gross_amount, l.disc_percentage, l.disc_amount, l.spl_disc_percentage,
+    l.spl_disc_amount, h.total_quantity, h.total_amount_without_tax, h.total_cgst_amount,
+    h.total_sgst_amount, h.total_igst_amount, h.total_amount, h.remarks, l.created_at,
+    h.tally_push_status, h.tally_created, h.tally_altered, h.tally_errors, h.tally_response,
+    h.tally_pushed_at, h.credit_hold, h.credit_hold_reason
+  FROM order_line l
+  JOIN order_header h ON h.order_no = l.order_no`,
+];
+
+// Set once the schema is in place; search degrades gracefully without pg_trgm
+let trigramSearchAvailable = false;
+
+async function initializeDatabase() {
+  await runSchemaStatements(pool, schemaStatements);
+  const trigram = await pool.query("SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'");
+  trigramSearchAvailable = trigram.rowCount > 0;
+  const counters = await seedOrderNumberCounters(pool);
+  if (counters.seeded > 0 || counters.skipped > 0) {
+    console.log(`🔢 Seeded ${counters.seeded} order number counters (${counters.skipped} order numbers not in a known series)`);
+  }
+  await migratePlaintextPasswords();
+  console.log("✅ Database schema ready");
+}
+
 admin.initializeApp({
   credential: admin.credential.cert(serviceAccount),
 });
 
+// ID tokens issued before a revocation (deactivated customer, removed admin) are rejected
+// straight away. FIREBASE_CHECK_REVOKED=false saves the extra Firebase lookup per request,
+// but then a revoked user keeps access until the token expires (up to an hour).
+const CHECK_REVOKED_TOKENS = process.env.FIREBASE_CHECK_REVOKED !== 'false';
+
 const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
   if (!token) return res.status(401).json({ error: "No token provided" });
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
+    const decoded = await admin.auth().verifyIdToken(token, CHECK_REVOKED_TOKENS);
     req.uid = decoded.uid;
     req.user = decoded;
     next();
@@ -83,6 +405,209 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// ✅ ROLES KNOWN TO THE PORTAL (see portal-claims.js)
+const ALL_ROLES = Object.values(ROLES);
+
+// Keeps the Firebase claims in step after a Postgres change; the change itself has
+// already been committed, so a Firebase outage is logged rather than reported
+const refreshUserClaims = (...uids) =>
+  Promise.all([...new Set(uids.filter(Boolean))].map(uid =>
+    syncUserClaims(pool, uid).catch(err => console.error(`🔐 Could not sync claims for ${uid}:`, err.message))
+  ));
+
+// Works out who the caller is. Customer claims are trusted as they are; an admin claim
+// is checked against the admins table, so removing an admin takes effect straight away.
+// Other tokens fall back to the admins and customer tables and get their claims set.
+const resolveRole = async (req, res, next) => {
+  const claimedRole = req.user?.role;
+  if (claimedRole !== ROLES.ADMIN && ALL_ROLES.includes(claimedRole) && req.user.customer_code) {
+    req.role = claimedRole;
+    req.customerCode = req.user.customer_code;
+    return next();
+  }
+
+  try {
+    const { claims } = await loadPortalIdentity(pool, req.uid);
+    if (claimsDiffer(req.user, claims)) refreshUserClaims(req.uid);
+    if (!claims.role) {
+      return res.status(403).json({ error: "No portal role is linked to this account" });
+    }
+
+    req.role = claims.role;
+    req.customerCode = claims.customer_code || null;
+    next();
+  } catch (err) {
+    console.error("Role resolution error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Route policy: a valid token plus one of the given roles
+const authorize = (...roles) => [
+  verifyToken,
+  resolveRole,
+  (req, res, next) => {
+    if (!roles.includes(req.role)) {
+      return res.status(403).json({ error: "You are not allowed to access this resource" });
+    }
+    next();
+  },
+];
+
+const isAdmin = (req) => req.role === ROLES.ADMIN;
+
+// Admins may touch any customer, everyone else only their own record
+const canAccessCustomer = (req, customerCode) =>
+  isAdmin(req) || (Boolean(req.customerCode) && req.customerCode === customerCode);
+
+const requireOwnCustomer = (req, res, next) => {
+  if (!canAccessCustomer(req, req.params.customer_code)) {
+    return res.status(403).json({ error: "You can only access your own customer record" });
+  }
+  next();
+};
+
+// Fields a distributor or corporate may change on their own record
+const SELF_EDITABLE_CUSTOMER_FIELDS = ['mobile_number', 'email', 'password'];
+
+// ✅ CUSTOMER PASSWORDS (bcrypt hashes only, never sent back to clients)
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+// null clears the password; bcrypt ignores anything past 72 bytes, so longer is refused
+const hashCustomerPassword = async (password) => {
+  if (password === null) return null;
+  if (typeof password !== 'string' || password.length < 8) {
+    throw badRequest("Password must be at least 8 characters");
+  }
+  if (Buffer.byteLength(password, 'utf8') > 72) {
+    throw badRequest("Password must be at most 72 bytes");
+  }
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+// Customer row as clients see it: the hash is replaced by whether one is set
+const publicCustomer = (customer) => {
+  if (!customer) return customer;
+  const { password, ...fields } = customer;
+  return { ...fields, has_password: Boolean(password) };
+};
+
+// Passwords written before hashing was introduced are hashed once at startup
+const migratePlaintextPasswords = async () => {
+  const result = await pool.query(
+    "SELECT customer_code, password FROM customer WHERE password IS NOT NULL AND password <> '' AND password !~ '^\\$2[aby]\\$'"
+  );
+  for (const row of result.rows) {
+    await pool.query(
+      // Only if nobody changed it in the meantime
+      "UPDATE customer SET password = $1 WHERE customer_code = $2 AND password = $3",
+      [await bcrypt.hash(row.password, BCRYPT_ROUNDS), row.customer_code, row.password]
+    );
+  }
+  if (result.rows.length > 0) console.log(`🔐 Hashed ${result.rows.length} plain text customer password(s)`);
+};
+
+// ✅ AUDIT TRAIL
+const AUDIT_MASKED_FIELDS = ['password', 'secret'];
+
+const maskAuditRecord = (record) => {
+  if (!record) return null;
+  const masked = { ...record };
+  AUDIT_MASKED_FIELDS.forEach(field => {
+    if (masked[field] !== null && masked[field] !== undefined) masked[field] = '***';
+  });
+  return masked;
+};
+
+// Field level changes between two rows, masked fields only say they changed
+const diffRecords = (before, after) => {
+  const diff = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from ?? null) === JSON.stringify(to ?? null)) continue;
+    diff[field] = AUDIT_MASKED_FIELDS.includes(field)
+      ? { changed: true }
+      : { from: from ?? null, to: to ?? null };
+  }
+  return diff;
+};
+
+// Writes one audit entry; pass the transaction client so it commits with the change
+const recordAudit = async (db, req, { entity, key, action, before = null, after = null }) => {
+  const diff = diffRecords(before, after);
+  if (action === 'update' && Object.keys(diff).length === 0) return;
+
+  await db.query(
+    `INSERT INTO audit_log (actor_uid, actor_role, entity, entity_key, action, before_data, after_data, diff, request_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req.uid || null,
+      req.role || null,
+      entity,
+      String(key),
+      action,
+      JSON.stringify(maskAuditRecord(before)),
+      JSON.stringify(maskAuditRecord(after)),
+      JSON.stringify(diff),
+      req.requestId || null,
+    ]
+  );
+};
+
+// Applies already-validated updates to a customer and audits them.
+// Returns null when the customer does not exist.
+const updateCustomerRecord = async (req, customerCode, updates) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const beforeResult = await client.query(
+      "SELECT * FROM customer WHERE customer_code = $1 FOR UPDATE",
+      [customerCode]
+    );
+    if (beforeResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const setClause = Object.keys(updates)
+      .map((key, index) => `${key} = $${index + 1}`)
+      .join(', ');
+    const values = [...Object.values(updates), customerCode];
+
+    const afterResult = await client.query(
+      `UPDATE customer SET ${setClause} WHERE customer_code = $${values.length} RETURNING *`,
+      values
+    );
+
+    await recordAudit(client, req, {
+      entity: 'customer',
+      key: customerCode,
+      action: 'update',
+      before: beforeResult.rows[0],
+      after: afterResult.rows[0],
+    });
+
+    await client.query('COMMIT');
+
+    const before = beforeResult.rows[0];
+    const after = afterResult.rows[0];
+    if (CLAIM_SOURCE_FIELDS.some(field => String(before[field] ?? '') !== String(after[field] ?? ''))) {
+      await refreshUserClaims(before.firebase_uid, after.firebase_uid);
+    }
+
+    return { before, after, rowCount: afterResult.rowCount };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 // ✅ HEALTH CHECK ENDPOINT (IMPORTANT FOR RAILWAY)
 app.get("/api/health", (req, res) => {
   res.status(200).json({
@@ -115,6 +640,37 @@ app.get("/api/health/db", async (req, res) => {
   }
 });
 
+// One profile endpoint for every role. Claims that no longer match Postgres are
+// rewritten here; claims_refreshed tells the client to call getIdToken(true).
+app.get("/me", verifyToken, async (req, res) => {
+  try {
+    const identity = await loadPortalIdentity(pool, req.uid);
+    if (!identity.claims.role) {
+      return res.status(403).json({
+        error: "No portal role is linked to this account",
+        uid: req.uid,
+        email: req.user.email || null,
+      });
+    }
+
+    const stale = claimsDiffer(req.user, identity.claims);
+    if (stale) await refreshUserClaims(req.uid);
+
+    res.json({
+      uid: req.uid,
+      email: req.user.email || null,
+      role: identity.claims.role,
+      customer_code: identity.claims.customer_code || null,
+      customer_type: identity.claims.customer_type || null,
+      profile: identity.admin || identity.customer,
+      claims_refreshed: stale,
+    });
+  } catch (err) {
+    console.error("Profile lookup error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 app.get("/me-admin", verifyToken, async (req, res) => {
   try {
     const result = await pool.query(
@@ -151,7 +707,7 @@ app.get("/me-corporate", verifyToken, async (req, res) => {
   }
 });
 
-app.put("/distributors/:customer_code", async (req, res) => {
+app.put("/distributors/:customer_code", authorize(ROLES.ADMIN, ROLES.DISTRIBUTOR), requireOwnCustomer, validateBody(customerUpdateSchema), async (req, res) => {
   const customerCode = req.params.customer_code;
   const updates = req.body;
 
@@ -172,18 +728,21 @@ app.put("/distributors/:customer_code", async (req, res) => {
     return res.status(400).json({ error: "No valid fields to update" });
   }
 
-  const setClause = Object.keys(filteredUpdates)
-    .map((key, index) => `${key} = $${index + 1}`)
-    .join(', ');
-
-  const values = Object.values(filteredUpdates);
-  values.push(customerCode);
-
-  const sql = `UPDATE customer SET ${setClause} WHERE customer_code = $${values.length}`;
+  if (!isAdmin(req)) {
+    const restrictedFields = Object.keys(filteredUpdates)
+      .filter(key => !SELF_EDITABLE_CUSTOMER_FIELDS.includes(key));
+    if (restrictedFields.length > 0) {
+      return res.status(403).json({ error: `Only admins can change: ${restrictedFields.join(', ')}` });
+    }
+  }
 
   try {
-    const result = await pool.query(sql, values);
-    if (result.rowCount === 0) {
+    if (filteredUpdates.password !== undefined) {
+      filteredUpdates.password = await hashCustomerPassword(filteredUpdates.password);
+    }
+
+    const result = await updateCustomerRecord(req, customerCode, filteredUpdates);
+    if (!result) {
       return res.status(404).json({ error: "Distributor not found" });
     }
     res.json({ 
@@ -192,11 +751,11 @@ app.put("/distributors/:customer_code", async (req, res) => {
     });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.put("/corporates/:customer_code", async (req, res) => {
+app.put("/corporates/:customer_code", authorize(ROLES.ADMIN, ROLES.CORPORATE), requireOwnCustomer, validateBody(customerUpdateSchema), async (req, res) => {
   const customerCode = req.params.customer_code;
   const updates = req.body;
 
@@ -217,18 +776,21 @@ app.put("/corporates/:customer_code", async (req, res) => {
     return res.status(400).json({ error: "No valid fields to update" });
   }
 
-  const setClause = Object.keys(filteredUpdates)
-    .map((key, index) => `${key} = $${index + 1}`)
-    .join(', ');
-
-  const values = Object.values(filteredUpdates);
-  values.push(customerCode);
-
-  const sql = `UPDATE customer SET ${setClause} WHERE customer_code = $${values.length}`;
+  if (!isAdmin(req)) {
+    const restrictedFields = Object.keys(filteredUpdates)
+      .filter(key => !SELF_EDITABLE_CUSTOMER_FIELDS.includes(key));
+    if (restrictedFields.length > 0) {
+      return res.status(403).json({ error: `Only admins can change: ${restrictedFields.join(', ')}` });
+    }
+  }
 
   try {
-    const result = await pool.query(sql, values);
-    if (result.rowCount === 0) {
+    if (filteredUpdates.password !== undefined) {
+      filteredUpdates.password = await hashCustomerPassword(filteredUpdates.password);
+    }
+
+    const result = await updateCustomerRecord(req, customerCode, filteredUpdates);
+    if (!result) {
       return res.status(404).json({ error: "Direct Order not found" });
     }
     res.json({ 
@@ -237,31 +799,44 @@ app.put("/corporates/:customer_code", async (req, res) => {
     });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// Admin signup (only for admins table)
-app.post("/signup-admin", verifyToken, async (req, res) => {
-  const { username, email, mobile_number } = req.body;
-  const firebaseUid = req.uid;
-
-  console.log("Admin signup request:", { username, email, firebaseUid });
+// ✅ ADMIN SIGNUP
+// Only an admin can add another admin (by the new admin's Firebase uid). The very first
+// admin signs themselves up with X-Admin-Bootstrap-Secret matching ADMIN_BOOTSTRAP_SECRET,
+// which only works while the admins table is empty.
+const ADMIN_BOOTSTRAP_SECRET = process.env.ADMIN_BOOTSTRAP_SECRET || null;
+
+const bootstrapSecretMatches = (sent) => {
+  if (!ADMIN_BOOTSTRAP_SECRET || !sent) return false;
+  const expected = Buffer.from(ADMIN_BOOTSTRAP_SECRET);
+  const given = Buffer.from(String(sent));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
 
-  if (!username || !email) {
-    return res.status(400).json({ 
-      success: false,
-      error: "Username and email are required" 
+const authorizeAdminSignup = [
+  verifyToken,
+  (req, res, next) => {
+    const sent = req.get('X-Admin-Bootstrap-Secret');
+    if (sent) {
+      if (!bootstrapSecretMatches(sent)) return res.status(403).json({ error: "Invalid bootstrap secret" });
+      req.adminBootstrap = true;
+      return next();
+    }
+    resolveRole(req, res, () => {
+      if (!isAdmin(req)) return res.status(403).json({ error: "Only an admin can add another admin" });
+      next();
     });
-  }
+  },
+];
 
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({ 
-      success: false,
-      error: "Invalid email format" 
-    });
-  }
+app.post("/signup-admin", authorizeAdminSignup, validateBody(adminSignupSchema), async (req, res) => {
+  const { username, email, mobile_number } = req.body;
+  const firebaseUid = req.adminBootstrap ? req.uid : req.body.firebase_uid || req.uid;
+
+  console.log("Admin signup request:", { username, email, firebaseUid, bootstrap: Boolean(req.adminBootstrap) });
 
   try {
     const checkResult = await pool.query(
@@ -271,6 +846,7 @@ app.post("/signup-admin", verifyToken, async (req, res) => {
 
     if (checkResult.rows.length > 0) {
       const existingAdmin = checkResult.rows[0];
+      await refreshUserClaims(existingAdmin.firebase_uid);
       return res.status(200).json({ 
         success: true,
         message: "Admin already exists", 
@@ -279,17 +855,56 @@ app.post("/signup-admin", verifyToken, async (req, res) => {
       });
     }
 
+    // One Firebase account is either a customer or an admin, never both
+    const linkedCustomer = await pool.query(
+      "SELECT customer_code FROM customer WHERE firebase_uid = $1",
+      [firebaseUid]
+    );
+    if (linkedCustomer.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This account is linked to customer ${linkedCustomer.rows[0].customer_code} and cannot become an admin`
+      });
+    }
+
+    if (firebaseUid !== req.uid) {
+      try {
+        await admin.auth().getUser(firebaseUid);
+      } catch (err) {
+        if (err.code === 'auth/user-not-found') {
+          return res.status(404).json({ success: false, error: `No Firebase user ${firebaseUid}` });
+        }
+        throw err;
+      }
+    }
+
+    // The bootstrap insert only goes through while there is no admin at all
     const insertSql = `
       INSERT INTO admins (username, email, firebase_uid, role, mobile_number)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
+      SELECT $1, $2, $3, $4, $5
+      WHERE NOT $6 OR NOT EXISTS (SELECT 1 FROM admins)
+      RETURNING *
     `;
     const role = "admin";
 
     const insertResult = await pool.query(
       insertSql, 
-      [username, email, firebaseUid, role, mobile_number || null]
+      [username, email, firebaseUid, role, mobile_number || null, Boolean(req.adminBootstrap)]
     );
+    if (insertResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: "An admin already exists; ask them to add you"
+      });
+    }
+    await recordAudit(pool, req, {
+      entity: 'admin',
+      key: insertResult.rows[0].id,
+      action: 'create',
+      after: insertResult.rows[0],
+    });
+
+    await refreshUserClaims(firebaseUid);
 
     console.log("New admin added to PostgreSQL, ID:", insertResult.rows[0].id);
     res.status(201).json({ 
@@ -341,8 +956,132 @@ app.post("/login-admin", verifyToken, async (req, res) => {
   }
 });
 
+// ✅ CUSTOMER CODE + PASSWORD LOGIN (field staff without an email address)
+// Answers with a Firebase custom token; the client signs in with signInWithCustomToken
+// and from then on uses ID tokens like every other user.
+// Only failed attempts count, in three windows: one code from one address locks quickly,
+// one address across all codes has a larger budget, and one code across all addresses has
+// its own, so rotating addresses does not buy more guesses at a customer's password.
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const LOGIN_MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30;
+const LOGIN_MAX_FAILURES_PER_CODE = Number(process.env.LOGIN_MAX_FAILURES_PER_CODE) || 20;
+const LOGIN_TRACKED_MAX = 10000;
+const loginFailures = new Map();
+const loginFailuresByIp = new Map();
+const loginFailuresByCode = new Map();
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomUUID(), BCRYPT_ROUNDS);
+
+const loginWindowStart = () => Date.now() - LOGIN_LOCK_MINUTES * 60000;
+
+const isExpiredLoginEntry = (entry) =>
+  entry.lockedUntil ? entry.lockedUntil <= Date.now() : entry.firstAt < loginWindowStart();
+
+// Keeps the maps bounded: expired entries go first, then the oldest ones
+const pruneLoginTracking = () => {
+  for (const tracked of [loginFailures, loginFailuresByIp, loginFailuresByCode]) {
+    for (const [key, entry] of tracked) {
+      if (isExpiredLoginEntry(entry)) tracked.delete(key);
+    }
+    for (const key of tracked.keys()) {
+      if (tracked.size <= LOGIN_TRACKED_MAX) break;
+      tracked.delete(key);
+    }
+  }
+};
+setInterval(pruneLoginTracking, 60000).unref();
+
+const loginLockedUntil = (tracked, key) => {
+  const entry = tracked.get(key);
+  if (!entry) return null;
+  if (!isExpiredLoginEntry(entry)) return entry.lockedUntil;
+  tracked.delete(key);
+  return null;
+};
+
+const countLoginEvent = (tracked, key, limit) => {
+  const entry = tracked.get(key) || { count: 0, firstAt: Date.now(), lockedUntil: null };
+  entry.count++;
+  if (entry.count >= limit) entry.lockedUntil = Date.now() + LOGIN_LOCK_MINUTES * 60000;
+  tracked.set(key, entry);
+  if (tracked.size > LOGIN_TRACKED_MAX) pruneLoginTracking();
+};
+
+// Customers without a Firebase account get a stable uid derived from their exact code
+const customerLoginUid = (customerCode) =>
+  `customer-${crypto.createHash('sha256').update(customerCode).digest('hex').slice(0, 40)}`;
+
+app.post("/login-customer", async (req, res) => {
+  const customerCode = String(req.body?.customer_code || '').trim();
+  const password = req.body?.password;
+
+  if (!customerCode || typeof password !== 'string' || password === '') {
+    return res.status(400).json({ success: false, error: "customer_code and password are required" });
+  }
+
+  const codeKey = customerCode.toUpperCase();
+  const lockKey = `${req.ip}|${codeKey}`;
+  const lockedUntil = loginLockedUntil(loginFailuresByIp, req.ip)
+    || loginLockedUntil(loginFailures, lockKey)
+    || loginLockedUntil(loginFailuresByCode, codeKey);
+  if (lockedUntil) {
+    res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+    return res.status(429).json({ success: false, error: "Too many failed attempts, try again later" });
+  }
+
+  const invalid = () => {
+    countLoginEvent(loginFailures, lockKey, LOGIN_MAX_FAILURES);
+    countLoginEvent(loginFailuresByIp, req.ip, LOGIN_MAX_FAILURES_PER_IP);
+    countLoginEvent(loginFailuresByCode, codeKey, LOGIN_MAX_FAILURES_PER_CODE);
+    return res.status(401).json({ success: false, error: "Invalid customer code or password" });
+  };
+
+  try {
+    const result = await pool.query("SELECT * FROM customer WHERE customer_code = $1", [customerCode]);
+    const customer = result.rows[0];
+
+    // Compare against a throwaway hash when there is nothing to compare, so timing does not reveal valid codes
+    const storedHash = customer && BCRYPT_HASH_PATTERN.test(customer.password || '') ? customer.password : null;
+    const matches = await bcrypt.compare(password, storedHash || DUMMY_PASSWORD_HASH);
+    if (!storedHash || !matches) return invalid();
+
+    const role = roleForCustomerType(customer.customer_type);
+    if (!role) {
+      return res.status(403).json({ success: false, error: "No portal role is linked to this account" });
+    }
+    if (customer.status === 'inactive') {
+      return res.status(403).json({ success: false, error: "This account has not been activated" });
+    }
+
+    loginFailures.delete(lockKey);
+
+    const uid = customer.firebase_uid || customerLoginUid(customer.customer_code);
+    if (!customer.firebase_uid) {
+      await updateCustomerRecord({ ...req, uid, role }, customer.customer_code, { firebase_uid: uid });
+    }
+
+    const token = await admin.auth().createCustomToken(uid, {
+      role,
+      customer_code: customer.customer_code,
+      customer_type: customer.customer_type,
+    });
+
+    console.log(`🔑 Customer ${customer.customer_code} signed in with code and password`);
+    res.json({
+      success: true,
+      message: "Customer login successful",
+      token,
+      user: publicCustomer({ ...customer, firebase_uid: uid }),
+      userType: role,
+    });
+  } catch (err) {
+    console.error("Customer login error:", err);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
 // Get specific distributor by usercode
-app.get("/distributors/:customer_code", async (req, res) => {
+app.get("/distributors/:customer_code", authorize(ROLES.ADMIN, ROLES.DISTRIBUTOR), requireOwnCustomer, async (req, res) => {
   const { customer_code } = req.params;
 
   if (!customer_code) {
@@ -359,7 +1098,7 @@ app.get("/distributors/:customer_code", async (req, res) => {
       return res.status(404).json({ error: "Distributor not found" });
     }
 
-    res.json(result.rows[0]);
+    res.json(publicCustomer(result.rows[0]));
   } catch (err) {
     console.error("Database query error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -367,7 +1106,7 @@ app.get("/distributors/:customer_code", async (req, res) => {
 });
 
 // Get specific corporate by id
-app.get("/corporates/:customer_code", async (req, res) => {
+app.get("/corporates/:customer_code", authorize(ROLES.ADMIN, ROLES.CORPORATE), requireOwnCustomer, async (req, res) => {
   const { customer_code } = req.params;
 
   if (!customer_code) {
@@ -384,32 +1123,165 @@ app.get("/corporates/:customer_code", async (req, res) => {
       return res.status(400).json({ error: "Direct Order not found" });
     }
 
-    res.json(result.rows[0]);
+    res.json(publicCustomer(result.rows[0]));
   } catch (err) {
     console.error("Database query error:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/stock_item", async (req, res) => {
-  try {
-    const result = await pool.query("SELECT * FROM stock_item");
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ✅ LIST ENDPOINTS: pagination, whitelisted filters and sorting
+// ?paginate=false keeps the old "return every row" behaviour while the frontend migrates
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const CUSTOMER_LIST = {
+  filters: {
+    customer_code: 'customer_code',
+    state: 'state',
+    parent_group: 'parent_group',
+    status: 'status',
+    customer_type: 'customer_type',
+  },
+  sortable: ['customer_code', 'customer_name', 'state', 'customer_type', 'status', 'parent_group'],
+  defaultSort: 'customer_name:asc',
+  present: publicCustomer,
+};
+
+const LIST_DEFINITIONS = {
+  stock_item: {
+    filters: { item_code: 'item_code', parent_group: 'parent_group', uom: 'uom', hsn: 'hsn' },
+    sortable: ['item_code', 'stock_item_name', 'parent_group', 'rate', 'gst', 'uom'],
+    defaultSort: 'stock_item_name:asc',
+  },
+  customer: CUSTOMER_LIST,
+  // Orders are paged by order header, each page carries all lines of its orders
+  orders: {
+    filters: {
+      status: 'status',
+      customer_code: 'customer_code',
+      executive: 'executive',
+      order_no: 'order_no',
+      voucher_type: 'voucher_type',
+      // Looked up the way the analytics do; these work on order_header and the orders view alike
+      state: (values) => `customer_code IN (SELECT customer_code FROM customer WHERE state = ANY(${values}))`,
+      parent_group: (values) => `order_no IN (
+        SELECT l.order_no FROM order_line l
+        JOIN stock_item si ON si.item_code = l.item_code
+        WHERE si.parent_group = ANY(${values}))`,
+    },
+    dateColumn: 'order_date',
+    sortable: ['order_no', 'order_date', 'customer_code', 'customer_name', 'executive', 'status', 'total_amount', 'created_at'],
+    defaultSort: 'created_at:desc',
+  },
+};
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// Turns ?status=a,b&from=&to=&sort=col:dir,col2:dir&page=&limit= into SQL pieces.
+// `fixed` conditions (role scoping, customer type) are always applied. A filter is a
+// column, or a function turning the values placeholder into a condition.
+const parseListQuery = (query, definition, fixed = {}) => {
+  const conditions = [];
+  const params = [];
+
+  for (const [column, value] of Object.entries(fixed)) {
+    params.push(value);
+    conditions.push(`${column} = $${params.length}`);
   }
+
+  for (const [param, column] of Object.entries(definition.filters)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const values = String(query[param]).split(',').map(value => value.trim()).filter(Boolean);
+    params.push(values);
+    const placeholder = `$${params.length}`;
+    conditions.push(typeof column === 'function' ? column(placeholder) : `${column} = ANY(${placeholder})`);
+  }
+
+  if (definition.dateColumn) {
+    for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+      if (!query[param]) continue;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(query[param])) {
+        throw badRequest(`${param} must be a date in YYYY-MM-DD format`);
+      }
+      params.push(query[param]);
+      conditions.push(`${definition.dateColumn} ${operator} $${params.length}::date`);
+    }
+  }
+
+  const sortTerms = String(query.sort || definition.defaultSort).split(',').map(term => {
+    const [column, direction = 'asc'] = term.trim().split(':');
+    if (!definition.sortable.includes(column)) {
+      throw badRequest(`Cannot sort by "${column}". Sortable fields: ${definition.sortable.join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+      throw badRequest(`Sort direction for "${column}" must be asc or desc`);
+    }
+    return `${column} ${direction.toUpperCase()}`;
+  });
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    orderBy: `ORDER BY ${sortTerms.join(', ')}`,
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    paginate: query.paginate !== 'false',
+  };
+};
+
+const paginationInfo = (list, total) => ({
+  page: list.page,
+  limit: list.limit,
+  total,
+  total_pages: Math.ceil(total / list.limit),
 });
 
-app.get("/customer", async (req, res) => {
+// Plain table listing shared by stock items and customers
+const sendTableList = async (req, res, table, definition, fixed) => {
   try {
-    const result = await pool.query("SELECT * FROM customer");
-    res.json(result.rows);
+    const list = parseListQuery(req.query, definition, fixed);
+
+    const present = (rows) => (definition.present ? rows.map(definition.present) : rows);
+
+    if (!list.paginate) {
+      const result = await pool.query(`SELECT * FROM ${table} ${list.where}`, list.params);
+      return res.json(present(result.rows));
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM ${table} ${list.where}`, list.params);
+    const result = await pool.query(
+      `SELECT * FROM ${table} ${list.where} ${list.orderBy}
+       LIMIT $${list.params.length + 1} OFFSET $${list.params.length + 2}`,
+      [...list.params, list.limit, list.offset]
+    );
+
+    res.json({
+      data: present(result.rows),
+      pagination: paginationInfo(list, parseInt(countResult.rows[0].total, 10))
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
-});
+};
+
+app.get("/stock_item", authorize(...ALL_ROLES), (req, res) =>
+  sendTableList(req, res, 'stock_item', LIST_DEFINITIONS.stock_item)
+);
+
+app.get("/customer", authorize(ROLES.ADMIN), (req, res) =>
+  sendTableList(req, res, 'customer', LIST_DEFINITIONS.customer)
+);
 
-app.get("/admins", async (req, res) => {
+app.get("/admins", authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const result = await pool.query("SELECT * FROM admins");
     res.json(result.rows);
@@ -418,64 +1290,329 @@ app.get("/admins", async (req, res) => {
   }
 });
 
-app.get("/distributors", async (req, res) => {
+app.get("/distributors", authorize(ROLES.ADMIN), (req, res) =>
+  sendTableList(req, res, 'customer', LIST_DEFINITIONS.customer, { customer_type: 'distributor' })
+);
+
+app.get("/corporates", authorize(ROLES.ADMIN), (req, res) =>
+  sendTableList(req, res, 'customer', LIST_DEFINITIONS.customer, { customer_type: 'direct' })
+);
+
+app.get("/orders", authorize(...ALL_ROLES), async (req, res) => {
   try {
+    // Distributors and corporates only ever see their own orders
+    const fixed = isAdmin(req) ? {} : { customer_code: req.customerCode };
+    const list = parseListQuery(req.query, LIST_DEFINITIONS.orders, fixed);
+
+    if (!list.paginate) {
+      // Same order as the paginated path: headers by the requested sort, then lines by id
+      const result = await pool.query(
+        `SELECT o.* FROM orders o
+         JOIN (
+           SELECT order_no, ROW_NUMBER() OVER (${list.orderBy}, order_no) AS position
+           FROM order_header ${list.where}
+         ) h ON h.order_no = o.order_no
+         ORDER BY h.position, o.id`,
+        list.params
+      );
+      return res.json(result.rows);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM order_header ${list.where}`,
+      list.params
+    );
+    const pageResult = await pool.query(
+      `SELECT order_no FROM order_header ${list.where} ${list.orderBy}, order_no
+       LIMIT $${list.params.length + 1} OFFSET $${list.params.length + 2}`,
+      [...list.params, list.limit, list.offset]
+    );
+    const orderNos = pageResult.rows.map(row => row.order_no);
+
     const result = await pool.query(
-      `SELECT * FROM customer WHERE customer_type = 'distributor'`
+      `SELECT * FROM orders WHERE order_no = ANY($1::text[]) ORDER BY array_position($1::text[], order_no::text), id`,
+      [orderNos]
     );
-    res.json(result.rows);
+
+    res.json({
+      data: result.rows,
+      pagination: paginationInfo(list, parseInt(countResult.rows[0].total, 10))
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.get("/corporates", async (req, res) => {
+// ✅ SPREADSHEET EXPORTS (same filters and sorting as the list endpoints)
+// GET /export/orders?format=xlsx&status=approved&from=2025-04-01&columns=order_no,total_amount
+const EXPORTS = {
+  orders: { table: 'orders', list: LIST_DEFINITIONS.orders, definition: EXPORT_DEFINITIONS.orders, tieBreak: 'id' },
+  customers: { table: 'customer', list: LIST_DEFINITIONS.customer, definition: EXPORT_DEFINITIONS.customer },
+  stock_items: { table: 'stock_item', list: LIST_DEFINITIONS.stock_item, definition: EXPORT_DEFINITIONS.stock_item },
+};
+
+app.get("/export/:entity", authorize(ROLES.ADMIN), async (req, res) => {
+  const target = EXPORTS[req.params.entity];
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+
+  if (!target) {
+    return res.status(404).json({ error: `Unknown export. Available: ${Object.keys(EXPORTS).join(', ')}` });
+  }
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or xlsx" });
+  }
+
   try {
-    const result = await pool.query(
-      `SELECT * FROM customer WHERE customer_type = 'direct'`
-    );
-    res.json(result.rows);
+    const list = parseListQuery(req.query, target.list);
+    const columns = selectExportColumns(target.definition, req.query.columns);
+    const orderBy = target.tieBreak ? `${list.orderBy}, ${target.tieBreak}` : list.orderBy;
+    const { day, month, year } = businessDateParts();
+
+    await streamExport({
+      pool,
+      res,
+      sql: `SELECT * FROM ${target.table} ${list.where} ${orderBy}`,
+      params: list.params,
+      columns,
+      format,
+      filename: `${req.params.entity}-${year}${month}${day}`,
+      sheetName: target.definition.sheetName,
+      indian: req.query.indian !== 'false',
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Export failed:", err);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.get("/orders", async (req, res) => {
+// ✅ STOCK ITEM SEARCH FOR TYPE-AHEAD
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Every word must appear in the name, code or HSN; with pg_trgm close misspellings
+// match too. Exact code, code prefix and name prefix rank above fuzzy matches.
+app.get("/stock_item/search", authorize(...ALL_ROLES), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+  if (!q) {
+    return res.status(400).json({ error: "Search text (q) is required" });
+  }
+
+  const tokens = q.split(/\s+/).slice(0, 8);
+  const params = [q, `${escapeLike(q)}%`];
+  const tokenConditions = tokens.map(token => {
+    params.push(`%${escapeLike(token)}%`);
+    const placeholder = `$${params.length}`;
+    return `(stock_item_name ILIKE ${placeholder} OR item_code ILIKE ${placeholder} OR hsn ILIKE ${placeholder})`;
+  });
+  params.push(limit);
+  const limitPlaceholder = `$${params.length}`;
+
+  const scoreSql = trigramSearchAvailable
+    ? `GREATEST(word_similarity($1, stock_item_name), similarity(COALESCE(item_code, ''), $1), similarity(COALESCE(hsn, ''), $1))`
+    : '0';
+  const fuzzySql = trigramSearchAvailable
+    ? `OR $1 <% stock_item_name OR item_code % $1`
+    : '';
+
+  const sql = `
+    SELECT item_code, stock_item_name, hsn, gst, uom, rate, parent_group, ${scoreSql} AS score
+    FROM stock_item
+    WHERE (${tokenConditions.join(' AND ')}) ${fuzzySql}
+    ORDER BY
+      COALESCE(upper(item_code) = upper($1), false) DESC,
+      COALESCE(item_code ILIKE $2, false) DESC,
+      COALESCE(stock_item_name ILIKE $2, false) DESC,
+      score DESC,
+      stock_item_name
+    LIMIT ${limitPlaceholder}`;
+
   try {
-    const result = await pool.query("SELECT * FROM orders");
+    const result = await pool.query(sql, params);
     res.json(result.rows);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Stock item search error:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get specific stock item by item code
-app.get("/stock_item/:item_code", async (req, res) => {
-  const { item_code } = req.params;
+// ✅ PRICE LIST IMPORT (CSV upload, dry-run unless ?confirm=true)
+const priceListBody = express.raw({
+  type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'],
+  limit: '10mb'
+});
 
-  if (!item_code) {
-    return res.status(400).json({ error: "Stock Item Code is required" });
+app.post("/stock_item/import", authorize(ROLES.ADMIN), priceListBody, async (req, res) => {
+  const confirm = req.query.confirm === 'true';
+  const text = Buffer.isBuffer(req.body)
+    ? decodePriceListFile(req.body)
+    : typeof req.body?.csv === 'string' ? req.body.csv : '';
+
+  if (!text.trim()) {
+    return res.status(400).json({ error: "Upload the price list as text/csv, or as JSON { csv }" });
   }
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
-      "SELECT * FROM stock_item WHERE item_code = $1",
-      [item_code]
-    );
+    const parsed = parsePriceList(text);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Stock item not found" });
+    await client.query('BEGIN');
+    const plan = await planPriceListImport(client, parsed);
+
+    if (!confirm) {
+      await client.query('ROLLBACK');
+      return res.json({ dry_run: true, ...plan });
     }
 
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Database query error:", err);
-    res.status(500).json({ error: "Internal server error" });
+    const changes = await applyPriceListImport(client, plan);
+    for (const change of changes) {
+      await recordAudit(client, req, {
+        entity: 'stock_item',
+        key: change.key,
+        action: change.action,
+        before: change.before,
+        after: change.after
+      });
+    }
+    await client.query('COMMIT');
+
+    res.json({ dry_run: false, applied: changes.length, ...plan });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Price list import error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ✅ STOCK AVAILABILITY (closing stock synced from Tally)
+const STOCK_STALE_MINUTES = Number(process.env.STOCK_STALE_MINUTES || 60);
+
+const getStockAvailability = async (db, itemCodes) => {
+  const codes = [...new Set(itemCodes.filter(Boolean).map(code => String(code).trim()))];
+  const result = await db.query(
+    `SELECT item_code, godown, closing_qty, uom, synced_at
+     FROM stock_availability
+     WHERE item_code = ANY($1::text[])
+     ORDER BY item_code, godown`,
+    [codes]
+  );
+
+  const staleBefore = Date.now() - STOCK_STALE_MINUTES * 60 * 1000;
+  const availability = new Map(codes.map(code => [code, {
+    item_code: code,
+    available_qty: null,
+    uom: null,
+    synced_at: null,
+    stale: null,
+    godowns: []
+  }]));
+
+  for (const row of result.rows) {
+    const entry = availability.get(row.item_code);
+    if (row.godown === '') {
+      entry.available_qty = toNumber(row.closing_qty);
+      entry.uom = row.uom;
+      entry.synced_at = row.synced_at;
+      entry.stale = new Date(row.synced_at).getTime() < staleBefore;
+    } else {
+      entry.godowns.push({ godown: row.godown, available_qty: toNumber(row.closing_qty), uom: row.uom });
+    }
+  }
+
+  return availability;
+};
+
+// Lines are summed per item, so two lines of the same item are checked together.
+// Items Tally has no stock figure for are not flagged.
+const findStockShortfalls = async (db, lines) => {
+  const requested = new Map();
+  for (const line of lines) {
+    if (!line.item_code) continue;
+    const code = String(line.item_code).trim();
+    requested.set(code, (requested.get(code) || 0) + toNumber(line.quantity));
+  }
+
+  const availability = await getStockAvailability(db, [...requested.keys()]);
+  const warnings = [];
+  for (const [code, quantity] of requested) {
+    const stock = availability.get(code);
+    if (stock.available_qty === null || quantity <= stock.available_qty) continue;
+    warnings.push({
+      item_code: code,
+      item_name: lines.find(line => String(line.item_code).trim() === code)?.item_name ?? null,
+      requested_qty: round3(quantity),
+      available_qty: stock.available_qty,
+      shortfall: round3(quantity - Math.max(stock.available_qty, 0)),
+      uom: stock.uom,
+      synced_at: stock.synced_at,
+      stale: stock.stale
+    });
+  }
+  return warnings;
+};
+
+// ?item_codes=A,B,C (or POST { item_codes: [...] } for long lists)
+const sendStockAvailability = async (req, res, itemCodes) => {
+  const codes = (Array.isArray(itemCodes) ? itemCodes : String(itemCodes || '').split(','))
+    .map(code => String(code).trim())
+    .filter(Boolean);
+
+  if (codes.length === 0) {
+    return res.status(400).json({ error: "item_codes is required" });
+  }
+  if (codes.length > 500) {
+    return res.status(400).json({ error: "At most 500 item codes per request" });
+  }
+
+  try {
+    const availability = await getStockAvailability(pool, codes);
+    res.json([...availability.values()]);
+  } catch (err) {
+    console.error("Stock availability error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+app.get("/stock_item/availability", authorize(...ALL_ROLES), (req, res) =>
+  sendStockAvailability(req, res, req.query.item_codes)
+);
+
+app.post("/stock_item/availability", authorize(...ALL_ROLES), (req, res) =>
+  sendStockAvailability(req, res, req.body?.item_codes)
+);
+
+// Get specific stock item by item code
+app.get("/stock_item/:item_code", authorize(...ALL_ROLES), async (req, res) => {
+  const { item_code } = req.params;
+
+  if (!item_code) {
+    return res.status(400).json({ error: "Stock Item Code is required" });
+  }
+
+  try {
+    const result = await pool.query(
+      "SELECT * FROM stock_item WHERE item_code = $1",
+      [item_code]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Stock item not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Database query error:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
 // Get specific customer by customer_code only
-app.get("/customer/:customer_code", async (req, res) => {
+app.get("/customer/:customer_code", authorize(...ALL_ROLES), requireOwnCustomer, async (req, res) => {
   const { customer_code } = req.params;
 
   if (!customer_code) {
@@ -492,7 +1629,7 @@ app.get("/customer/:customer_code", async (req, res) => {
       return res.status(404).json({ error: "Customer not found" });
     }
 
-    res.json(result.rows[0]);
+    res.json(publicCustomer(result.rows[0]));
   } catch (err) {
     console.error("Database query error:", err);
     res.status(500).json({ error: "Internal server error" });
@@ -500,7 +1637,7 @@ app.get("/customer/:customer_code", async (req, res) => {
 });
 
 // Get specific admin by id
-app.get("/admins/:id", async (req, res) => {
+app.get("/admins/:id", authorize(ROLES.ADMIN), async (req, res) => {
   const userId = req.params.id;
 
   if (!userId) {
@@ -524,8 +1661,40 @@ app.get("/admins/:id", async (req, res) => {
   }
 });
 
+// Removes an admin; their claims are re-synced, which drops the role and revokes their refresh tokens
+app.delete("/admins/:id", authorize(ROLES.ADMIN), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    // Serialises removals so two admins cannot remove each other and leave none
+    await client.query('LOCK TABLE admins IN SHARE ROW EXCLUSIVE MODE');
+    const result = await client.query('DELETE FROM admins WHERE id = $1 RETURNING *', [req.params.id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Admin not found" });
+    }
+    const remaining = await client.query('SELECT COUNT(*)::int AS count FROM admins');
+    if (remaining.rows[0].count === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "The last admin cannot be removed" });
+    }
+    await recordAudit(client, req, { entity: 'admin', key: req.params.id, action: 'delete', before: result.rows[0] });
+    await client.query('COMMIT');
+
+    await refreshUserClaims(result.rows[0].firebase_uid);
+    res.json({ message: `Admin ${result.rows[0].username} removed` });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Admin delete error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+
 // get specific order by id
-app.get("/orders/:id", async (req, res) => {
+app.get("/orders/:id", authorize(...ALL_ROLES), async (req, res) => {
   const orderId = req.params.id;
 
   if (!orderId) {
@@ -538,7 +1707,7 @@ app.get("/orders/:id", async (req, res) => {
       [orderId]
     );
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || !canAccessCustomer(req, result.rows[0].customer_code)) {
       return res.status(404).json({ error: "Order not found" });
     }
 
@@ -550,7 +1719,7 @@ app.get("/orders/:id", async (req, res) => {
 });
 
 // get all orders by order number (optionally filter by created_at)
-app.get("/orders-by-number/:order_no", async (req, res) => {
+app.get("/orders-by-number/:order_no", authorize(...ALL_ROLES), async (req, res) => {
   const { order_no } = req.params;
   const { created_at } = req.query; // optional filter
 
@@ -570,7 +1739,7 @@ app.get("/orders-by-number/:order_no", async (req, res) => {
   try {
     const result = await pool.query(sql, params);
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || !canAccessCustomer(req, result.rows[0].customer_code)) {
       return res.status(404).json({ error: "No orders found" });
     }
 
@@ -581,71 +1750,480 @@ app.get("/orders-by-number/:order_no", async (req, res) => {
   }
 });
 
-app.get('/api/orders/next-order-number', async (req, res) => {
+// ✅ ORDER NUMBER PREVIEW (allocation lives in order-numbers.js)
+// Preview only: the number is not reserved until POST /orders runs
+app.get('/api/orders/next-order-number', authorize(...ALL_ROLES), async (req, res) => {
   try {
-    // Get the latest order number from database
-    const latestOrder = await Order.findOne({
-      order_no: { $regex: /^SQ-/ }
-    }).sort({ createdAt: -1 });
-    
-    let nextSequence = '0001';
-    const today = new Date();
-    const day = today.getDate().toString().padStart(2, '0');
-    const month = (today.getMonth() + 1).toString().padStart(2, '0');
-    const year = today.getFullYear().toString().slice(-2);
-    
-    if (latestOrder && latestOrder.order_no) {
-      const parts = latestOrder.order_no.split('-');
-      const lastDate = `${parts[1]}-${parts[2]}-${parts[3]}`;
-      const currentDate = `${day}-${month}-${year}`;
-      
-      if (lastDate === currentDate) {
-        const lastSequence = parseInt(parts[4]);
-        nextSequence = (lastSequence + 1).toString().padStart(4, '0');
-      }
-    }
-    
     res.json({ 
-      orderNumber: `SQ-${day}-${month}-${year}-${nextSequence}` 
+      orderNumber: await previewOrderNumber(pool, req.query.voucher_type),
+      reserved: false
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/orders', async (req, res) => {
+app.get('/api/order-number-series', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM order_number_series ORDER BY voucher_type");
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create or change the prefix / reset policy for a voucher type
+app.put('/api/order-number-series/:voucher_type', authorize(ROLES.ADMIN), async (req, res) => {
+  const { voucher_type } = req.params;
+  const { prefix, reset_policy = 'daily', padding = 4 } = req.body || {};
+
+  if (!prefix || !/^[A-Za-z0-9]{1,10}$/.test(prefix)) {
+    return res.status(400).json({ error: "Prefix must be 1-10 letters or digits" });
+  }
+  if (!['daily', 'financial_year'].includes(reset_policy)) {
+    return res.status(400).json({ error: "reset_policy must be 'daily' or 'financial_year'" });
+  }
+  if (!Number.isInteger(padding) || padding < 1 || padding > 8) {
+    return res.status(400).json({ error: "padding must be a whole number between 1 and 8" });
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO order_number_series (voucher_type, prefix, reset_policy, padding)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (voucher_type) DO UPDATE
+        SET prefix = EXCLUDED.prefix,
+            reset_policy = EXCLUDED.reset_policy,
+            padding = EXCLUDED.padding,
+            updated_at = NOW()
+      RETURNING *`,
+      [voucher_type, prefix.toUpperCase(), reset_policy, padding]
+    );
+    await recordAudit(pool, req, {
+      entity: 'order_number_series',
+      key: voucher_type,
+      action: 'update',
+      after: result.rows[0],
+    });
+    res.json({ message: "Order number series saved", series: result.rows[0] });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ✅ ORDER STATUS WORKFLOW
+// draft → pending → approved → dispatched → invoiced → closed, cancelled from the early stages
+const ORDER_TRANSITIONS = {
+  draft: { pending: ALL_ROLES, cancelled: ALL_ROLES },
+  pending: { draft: ALL_ROLES, approved: [ROLES.ADMIN], cancelled: ALL_ROLES },
+  approved: { dispatched: [ROLES.ADMIN], cancelled: [ROLES.ADMIN] },
+  dispatched: { invoiced: [ROLES.ADMIN] },
+  invoiced: { closed: [ROLES.ADMIN] },
+  closed: {},
+  cancelled: {},
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Order lines can still be edited while the order is in one of these
+const EDITABLE_ORDER_STATUSES = {
+  [ROLES.ADMIN]: ['draft', 'pending', 'approved'],
+  [ROLES.DISTRIBUTOR]: ['draft', 'pending'],
+  [ROLES.CORPORATE]: ['draft', 'pending'],
+};
+
+const recordStatusChange = (client, orderNo, fromStatus, toStatus, req, reason) =>
+  client.query(
+    `INSERT INTO order_status_history (order_no, from_status, to_status, changed_by, changed_by_role, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [orderNo, fromStatus, toStatus, req.uid, req.role, reason || null]
+  );
+
+// ✅ CUSTOMER PRICE LEVELS (Tally price lists synced into item_price_level)
+// A customer uses the price level set on their ledger, otherwise the one for their type
+const PRICE_LEVEL_BY_CUSTOMER_TYPE = {
+  distributor: process.env.PRICE_LEVEL_DISTRIBUTOR || 'Distributor',
+  direct: process.env.PRICE_LEVEL_DIRECT || 'Direct',
+  corporate: process.env.PRICE_LEVEL_CORPORATE || 'Corporate',
+};
+
+const customerPriceLevel = (customer) =>
+  customer.price_level || PRICE_LEVEL_BY_CUSTOMER_TYPE[String(customer.customer_type || '').toLowerCase()] || null;
+
+const todayInBusinessTimezone = () => {
+  const { day, month, year } = businessDateParts();
+  return `${year}-${month}-${day}`;
+};
+
+// Latest list effective on the date, slab chosen by quantity (Tally slabs end "less than").
+// Items with no price level row fall back to stock_item.rate.
+const resolveCustomerPrices = async (db, customerCode, lines, onDate) => {
+  const customerResult = await db.query(
+    'SELECT customer_code, customer_type, price_level FROM customer WHERE customer_code = $1',
+    [customerCode]
+  );
+  if (customerResult.rows.length === 0) {
+    const err = new Error("Customer not found");
+    err.status = 404;
+    throw err;
+  }
+
+  const priceLevel = customerPriceLevel(customerResult.rows[0]);
+  const result = await db.query(
+    `SELECT q.item_code, q.quantity, s.rate AS base_rate,
+            p.price_level, p.effective_date, p.slab_from, p.slab_to, p.rate AS level_rate, p.discount
+     FROM unnest($1::text[], $2::numeric[]) WITH ORDINALITY AS q(item_code, quantity, position)
+     LEFT JOIN LATERAL (
+       SELECT rate FROM stock_item WHERE item_code = q.item_code LIMIT 1
+     ) s ON true
+     LEFT JOIN LATERAL (
+       SELECT price_level, effective_date, slab_from, slab_to, rate, discount
+       FROM item_price_level
+       WHERE item_code = q.item_code
+         AND price_level = $3
+         AND effective_date <= $4::date
+         AND slab_from <= q.quantity
+         AND (slab_to IS NULL OR q.quantity < slab_to)
+       ORDER BY effective_date DESC, slab_from DESC
+       LIMIT 1
+     ) p ON true
+     ORDER BY q.position`,
+    [
+      lines.map(line => String(line.item_code || '').trim()),
+      lines.map(line => toNumber(line.quantity) || 1),
+      priceLevel,
+      onDate || todayInBusinessTimezone(),
+    ]
+  );
+
+  return {
+    customer_code: customerCode,
+    price_level: priceLevel,
+    prices: result.rows.map(row => ({
+      item_code: row.item_code,
+      quantity: toNumber(row.quantity),
+      rate: row.level_rate !== null ? toNumber(row.level_rate) : row.base_rate !== null ? toNumber(row.base_rate) : null,
+      discount: row.level_rate !== null ? toNumber(row.discount) : 0,
+      source: row.level_rate !== null ? 'price_level' : row.base_rate !== null ? 'stock_item' : null,
+      price_level: row.price_level,
+      effective_date: row.effective_date,
+      slab_from: row.slab_from !== null ? toNumber(row.slab_from) : null,
+      slab_to: row.slab_to !== null ? toNumber(row.slab_to) : null,
+    })),
+  };
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Order lines sent without a rate take the customer's rate (and slab discount)
+const withDefaultRates = async (db, customerCode, lines, onDate) => {
+  const missing = lines.filter(line => isBlank(line.rate) && line.item_code);
+  if (missing.length === 0) return { lines, defaults: [] };
+
+  const { prices } = await resolveCustomerPrices(db, customerCode, missing, onDate);
+  const defaults = [];
+  const priced = lines.map(line => {
+    const index = missing.indexOf(line);
+    if (index === -1 || prices[index].rate === null) return line;
+
+    const price = prices[index];
+    defaults.push({ item_code: line.item_code, rate: price.rate, discount: price.discount, source: price.source, price_level: price.price_level });
+    return {
+      ...line,
+      rate: price.rate,
+      disc_percentage: isBlank(line.disc_percentage) && price.discount ? price.discount : line.disc_percentage,
+    };
+  });
+
+  return { lines: priced, defaults };
+};
+
+const sendCustomerPrices = async (req, res, lines, onDate) => {
+  const requested = lines.filter(line => line && line.item_code);
+  if (requested.length === 0) {
+    return res.status(400).json({ error: "At least one item_code is required" });
+  }
+  if (requested.length > 500) {
+    return res.status(400).json({ error: "At most 500 items per request" });
+  }
+  if (onDate && !/^\d{4}-\d{2}-\d{2}$/.test(onDate)) {
+    return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  }
+
+  try {
+    res.json(await resolveCustomerPrices(pool, req.params.customer_code, requested, onDate));
+  } catch (err) {
+    console.error("Customer pricing error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+// ?item_codes=A,B&quantity=10&date=YYYY-MM-DD
+app.get("/customer/:customer_code/prices", authorize(...ALL_ROLES), requireOwnCustomer, (req, res) => {
+  const lines = String(req.query.item_codes || '')
+    .split(',')
+    .map(code => ({ item_code: code.trim(), quantity: req.query.quantity }));
+  return sendCustomerPrices(req, res, lines, req.query.date);
+});
+
+// { lines: [{ item_code, quantity }], date } for per-line slab quantities
+app.post("/customer/:customer_code/prices", authorize(...ALL_ROLES), requireOwnCustomer, (req, res) =>
+  sendCustomerPrices(req, res, Array.isArray(req.body?.lines) ? req.body.lines : [], req.body?.date)
+);
+
+// ✅ CREDIT CHECK (limits, outstanding and overdue bills synced from Tally)
+// hold: the order is taken but cannot be approved until an admin releases it
+// block: the order is rejected; off: no check
+const CREDIT_CHECK_MODE = ['hold', 'block', 'off'].includes(process.env.CREDIT_CHECK_MODE)
+  ? process.env.CREDIT_CHECK_MODE
+  : 'hold';
+const CREDIT_HOLD_ON_OVERDUE = process.env.CREDIT_HOLD_ON_OVERDUE !== 'false';
+
+// Portal orders that are not invoiced yet are not in the Tally balance, so they count too
+const OPEN_ORDER_STATUSES = ['pending', 'approved', 'dispatched'];
+
+const evaluateCredit = async (db, customerCode, orderTotal, orderNo = null) => {
+  const creditResult = await db.query('SELECT * FROM customer_credit WHERE customer_code = $1', [customerCode]);
+  const openResult = await db.query(
+    `SELECT COALESCE(SUM(total_amount), 0) AS amount, COUNT(*) AS count
+     FROM order_header
+     WHERE customer_code = $1 AND status = ANY($2::text[]) AND order_no IS DISTINCT FROM $3`,
+    [customerCode, OPEN_ORDER_STATUSES, orderNo]
+  );
+
+  const credit = creditResult.rows[0];
+  const openOrders = round2(toNumber(openResult.rows[0].amount));
+  const base = {
+    mode: CREDIT_CHECK_MODE,
+    order_total: round2(orderTotal),
+    open_orders: openOrders,
+    open_order_count: parseInt(openResult.rows[0].count, 10),
+  };
+
+  if (!credit) {
+    return { ...base, result: 'unknown', credit_limit: null, outstanding: null, available: null, overdue_amount: null, overdue_bills: [], reasons: [], synced_at: null };
+  }
+
+  const creditLimit = toNumber(credit.credit_limit);
+  const outstanding = toNumber(credit.outstanding);
+  const overdueAmount = toNumber(credit.overdue_amount);
+  // No limit set in Tally means unlimited credit
+  const available = creditLimit > 0 ? round2(creditLimit - outstanding - openOrders) : null;
+
+  const reasons = [];
+  if (available !== null && orderTotal > available) {
+    reasons.push(`Order total ${round2(orderTotal)} exceeds available credit ${available}`);
+  }
+  if (CREDIT_HOLD_ON_OVERDUE && overdueAmount > 0) {
+    reasons.push(`${credit.overdue_bills.length} overdue bill(s) totalling ${overdueAmount}`);
+  }
+
+  let result = creditLimit > 0 ? 'ok' : 'no_limit';
+  if (reasons.length > 0) result = CREDIT_CHECK_MODE === 'block' ? 'blocked' : 'hold';
+
+  return {
+    ...base,
+    result,
+    credit_limit: creditLimit,
+    outstanding,
+    available,
+    overdue_amount: overdueAmount,
+    overdue_bills: credit.overdue_bills,
+    reasons,
+    synced_at: credit.synced_at,
+  };
+};
+
+// Checks an order entering the workflow: throws 422 in block mode, otherwise
+// records the outcome on the header and puts it on hold when needed
+const applyCreditCheck = async (client, orderNo, customerCode, orderTotal) => {
+  if (CREDIT_CHECK_MODE === 'off') return null;
+
+  const credit = await evaluateCredit(client, customerCode, orderTotal, orderNo);
+  if (credit.result === 'blocked') {
+    const err = new Error(`Order exceeds the customer's credit: ${credit.reasons.join('; ')}`);
+    err.status = 422;
+    err.credit = credit;
+    throw err;
+  }
+
+  const onHold = credit.result === 'hold';
+  await client.query(
+    `UPDATE order_header
+     SET credit_hold = $2,
+         credit_hold_reason = $3,
+         credit_hold_at = CASE WHEN $2 THEN NOW() END,
+         credit_check = $4
+     WHERE order_no = $1`,
+    [orderNo, onHold, onHold ? credit.reasons.join('; ') : null, JSON.stringify(credit)]
+  );
+  return credit;
+};
+
+app.get("/customer/:customer_code/credit", authorize(...ALL_ROLES), requireOwnCustomer, async (req, res) => {
+  try {
+    const orderTotal = toNumber(req.query.order_total);
+    res.json(await evaluateCredit(pool, req.params.customer_code, orderTotal));
+  } catch (err) {
+    console.error("Credit check error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Full copy of an order, taken before and after a write for the audit trail
+const snapshotOrder = async (db, orderNo) => {
+  const header = await db.query('SELECT * FROM order_header WHERE order_no = $1', [orderNo]);
+  const lines = await db.query('SELECT * FROM order_line WHERE order_no = $1 ORDER BY id', [orderNo]);
+  return { header: header.rows[0] || null, lines: lines.rows };
+};
+
+const EMPTY_ORDER_SNAPSHOT = { header: null, lines: [] };
+
+const auditAction = (before, after) => (!before ? 'create' : !after ? 'delete' : 'update');
+
+// One audit entry for the header and one for every line that was added, changed or removed
+const auditOrderChanges = async (db, req, orderNo, before, after) => {
+  if (before.header || after.header) {
+    await recordAudit(db, req, {
+      entity: 'order_header',
+      key: orderNo,
+      action: auditAction(before.header, after.header),
+      before: before.header,
+      after: after.header,
+    });
+  }
+
+  const beforeLines = new Map(before.lines.map(line => [line.id, line]));
+  const afterLines = new Map(after.lines.map(line => [line.id, line]));
+  for (const id of new Set([...beforeLines.keys(), ...afterLines.keys()])) {
+    const from = beforeLines.get(id) || null;
+    const to = afterLines.get(id) || null;
+    await recordAudit(db, req, { entity: 'order_line', key: id, action: auditAction(from, to), before: from, after: to });
+  }
+};
+
+// ?totals=strict rejects payloads that disagree, the default corrects them
+const pricingMode = (req) => (req.query.totals === 'strict' ? 'strict' : 'correct');
+
+const pricingReport = (mode, pricing, mismatches) => {
+  if (mismatches.length > 0 && mode === 'strict') {
+    const err = new Error('Order amounts do not match the server calculation');
+    err.status = 422;
+    err.mismatches = mismatches;
+    throw err;
+  }
+  return {
+    result: mismatches.length > 0 ? 'corrected' : 'verified',
+    supply: pricing.supply,
+    totals: pricing.totals,
+    corrections: mismatches,
+    warnings: pricing.warnings,
+  };
+};
+
+// Header with its lines nested, as returned by the /api/orders endpoints
+const NESTED_ORDER_SQL = `
+  SELECT h.*,
+    COALESCE(
+      jsonb_agg(to_jsonb(l) - 'order_no' ORDER BY l.id) FILTER (WHERE l.id IS NOT NULL),
+      '[]'::jsonb
+    ) AS lines
+  FROM order_header h
+  LEFT JOIN order_line l ON l.order_no = h.order_no`;
+
+app.get('/api/orders', authorize(...ALL_ROLES), async (req, res) => {
+  try {
+    const result = isAdmin(req)
+      ? await pool.query(`${NESTED_ORDER_SQL} GROUP BY h.order_no ORDER BY h.created_at DESC`)
+      : await pool.query(
+          `${NESTED_ORDER_SQL} WHERE h.customer_code = $1 GROUP BY h.order_no ORDER BY h.created_at DESC`,
+          [req.customerCode]
+        );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/orders/:order_no', authorize(...ALL_ROLES), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${NESTED_ORDER_SQL} WHERE h.order_no = $1 GROUP BY h.order_no`,
+      [req.params.order_no]
+    );
+
+    if (result.rows.length === 0 || !canAccessCustomer(req, result.rows[0].customer_code)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Database query error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post('/orders', authorize(...ALL_ROLES), validateBody(createOrderSchema), async (req, res) => {
   const data = req.body;
 
-  if (!Array.isArray(data) || data.length === 0) {
-    return res.status(400).json({ error: "No orders provided" });
+  if (!data.every(item => canAccessCustomer(req, item.customer_code))) {
+    return res.status(403).json({ error: "You can only place orders for your own customer code" });
   }
 
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
+
+    // The server owns order numbers; anything the client sent is replaced
+    const orderNo = await allocateOrderNumber(client, data[0].voucher_type);
+    
+    // Header fields are taken from the first row, they are the same on every row
+    const header = data[0];
+
+    // Lines without a rate are priced from the customer's Tally price level
+    const { lines, defaults: rateDefaults } = await withDefaultRates(client, header.customer_code, data, header.date);
+
+    // New orders start as a draft or go straight to pending, never further
+    const initialStatus = header.status === 'draft' ? 'draft' : 'pending';
+    await client.query(`
+      INSERT INTO order_header
+      (order_no, voucher_type, order_date, status, customer_code, executive, role, customer_name, total_quantity, total_amount_without_tax, total_cgst_amount, total_sgst_amount, total_igst_amount, total_amount, remarks)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+      [
+        orderNo,
+        header.voucher_type || 'Sales Order',
+        header.date,
+        initialStatus,
+        header.customer_code,
+        header.executive,
+        header.role,
+        header.customer_name,
+        header.total_quantity ?? 0.00,
+        header.total_amount_without_tax ?? 0.00,
+        header.total_cgst_amount ?? 0.00,
+        header.total_sgst_amount ?? 0.00,
+        header.total_igst_amount ?? 0.00,
+        header.total_amount ?? 0.00,
+        header.remarks ?? '',
+      ]
+    );
     
-    const insertPromises = data.map(item => {
+    const insertPromises = lines.map(item => {
       const insertSql = `
-        INSERT INTO orders 
-        (voucher_type, order_no, order_date, status, customer_code, executive, role, customer_name, item_code, item_name, hsn, gst, sgst, cgst, igst, delivery_date, delivery_mode, transporter_name, quantity, uom, rate, amount, net_rate, gross_amount, disc_percentage, disc_amount, spl_disc_percentage, spl_disc_amount, total_quantity, total_amount_without_tax, total_cgst_amount, total_sgst_amount, total_igst_amount, total_amount, remarks) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35)
+        INSERT INTO order_line 
+        (order_no, item_code, item_name, hsn, gst, sgst, cgst, igst, delivery_date, delivery_mode, transporter_name, quantity, uom, rate, amount, net_rate, gross_amount, disc_percentage, disc_amount, spl_disc_percentage, spl_disc_amount) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
         RETURNING id
       `;
       
       return client.query(insertSql, [
-        item.voucher_type,
-        item.order_no,
-        item.date,
-        item.status,
-        item.customer_code,
-        item.executive,
-        item.role,
-        item.customer_name,
+        orderNo,
         item.item_code,
         item.item_name,
         item.hsn,
-        String(item.gst).replace(/\s*%/, ''),
+        item.gst,
         item.sgst,
         item.cgst,
         item.igst,
@@ -662,34 +2240,56 @@ app.post('/orders', async (req, res) => {
         item.disc_amount,
         item.spl_disc_percentage,
         item.spl_disc_amount,
-        item.total_quantity ?? 0.00,
-        item.total_amount_without_tax ?? 0.00, // NEW: Add this
-        item.total_cgst_amount ?? 0.00,
-        item.total_sgst_amount ?? 0.00,
-        item.total_igst_amount ?? 0.00,
-        item.total_amount ?? 0.00,
-        item.remarks ?? '',
       ]);
     });
 
     const results = await Promise.all(insertPromises);
+    const ids = results.map(r => r.rows[0].id);
+    await recordStatusChange(client, orderNo, null, initialStatus, req, 'Order created');
+
+    const pricing = await repriceOrder(client, orderNo);
+    const mismatches = findPricingMismatches(
+      lines.map((item, index) => ({ id: ids[index], sent: item })),
+      header,
+      pricing
+    );
+    const pricingCheck = pricingReport(pricingMode(req), pricing, mismatches);
+    const stockWarnings = await findStockShortfalls(client, lines);
+    // Drafts are checked when they are submitted
+    const credit = initialStatus === 'draft'
+      ? null
+      : await applyCreditCheck(client, orderNo, header.customer_code, pricing.totals.total_amount);
+    await auditOrderChanges(client, req, orderNo, EMPTY_ORDER_SNAPSHOT, await snapshotOrder(client, orderNo));
+    // Drafts are announced when they are submitted
+    if (initialStatus !== 'draft') await queueOrderWebhook(client, 'order.created', orderNo);
+
     await client.query('COMMIT');
+
+    if (initialStatus !== 'draft') {
+      notifyOrderEvent(orderNo, 'created', { actor: actorLabel(req) });
+      kickWebhookWorker();
+    }
     
     res.json({ 
       message: "Orders inserted successfully", 
+      order_no: orderNo,
+      status: initialStatus,
       insertedCount: results.length,
-      ids: results.map(r => r.rows[0].id)
+      ids,
+      pricing: { ...pricingCheck, rate_defaults: rateDefaults },
+      stock_warnings: stockWarnings,
+      credit
     });
   } catch (err) {
     await client.query('ROLLBACK');
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message, mismatches: err.mismatches, credit: err.credit });
   } finally {
     client.release();
   }
 });
 
-app.put("/orders-by-number/:order_no", async (req, res) => {
+app.put("/orders-by-number/:order_no", authorize(...ALL_ROLES), validateBody(updateOrderSchema), async (req, res) => {
   const { order_no } = req.params;
   const allItems = [...req.body].sort((a, b) => (a.id || 0) - (b.id || 0));
 
@@ -697,10 +2297,6 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
     return res.status(400).json({ error: "Order Number is required" });
   }
 
-  if (!Array.isArray(allItems) || allItems.length === 0) {
-    return res.status(400).json({ error: "No data provided" });
-  }
-
   console.log(`🔧 Processing order_no: ${order_no}`);
   console.log(`📋 Total items received: ${allItems.length}`);
 
@@ -718,17 +2314,45 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
   try {
     await client.query('BEGIN');
 
-    // Check if order exists (optional, depending on your requirements)
+    // Lock the header so concurrent edits of the same order queue up
     const orderCheck = await client.query(
-      'SELECT COUNT(*) as count FROM orders WHERE order_no = $1',
+      'SELECT * FROM order_header WHERE order_no = $1 FOR UPDATE',
       [order_no]
     );
     
-    const orderExists = parseInt(orderCheck.rows[0].count) > 0;
+    // New orders get their number from POST /orders, never from the URL
+    if (orderCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: `Order ${order_no} not found, create orders through POST /orders`,
+        order_no: order_no
+      });
+    }
+
+    const existingHeader = orderCheck.rows[0];
+    const beforeSnapshot = await snapshotOrder(client, order_no);
+
+    // Distributors and corporates may only edit their own orders
+    const ownsOrder = canAccessCustomer(req, existingHeader.customer_code)
+      && allItems.every(item => item.customer_code === undefined || canAccessCustomer(req, item.customer_code));
+    if (!ownsOrder) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: "You can only edit your own orders",
+        order_no: order_no
+      });
+    }
     
-    // If order doesn't exist and no items to insert, throw error
-    if (!orderExists && itemsToInsert.length === 0) {
-      throw new Error(`Order ${order_no} does not exist and no new items provided`);
+    // Status moves only through POST /orders-by-number/:order_no/status
+    if (!EDITABLE_ORDER_STATUSES[req.role].includes(existingHeader.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: `Order ${order_no} is ${existingHeader.status} and can no longer be edited`,
+        order_no: order_no
+      });
     }
 
     // Extract common order details with better logic
@@ -749,51 +2373,88 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
       remarks: '',
     };
 
-    // Find valid items to extract common details
+    // Fields that live on order_header rather than on each line
+    const commonFields = Object.keys(defaultOrderDetails);
+    const clientHeaderFields = commonFields.filter(field => field !== 'status');
+
+    // Start from the stored header, so fields the client left out keep their value
     const validItems = allItems.filter(item => !item._deleted);
     let commonOrderDetails = { ...defaultOrderDetails };
+    commonFields.forEach(field => {
+      if (existingHeader[field] !== null && existingHeader[field] !== undefined) {
+        commonOrderDetails[field] = existingHeader[field];
+      }
+    });
 
     if (validItems.length > 0) {
       // Prioritize existing items (with IDs) for common details
       const priorityItem = validItems.find(item => item.id) || validItems[0];
       
-      // Extract only the fields that should be common across all items
-      const commonFields = [
-        'voucher_type', 'order_date', 'customer_code', 'customer_name',
-        'executive', 'role', 'status', 'total_quantity', 'total_amount',
-        'total_amount_without_tax', 'total_sgst_amount', 'total_cgst_amount',
-        'total_igst_amount', 'remarks'
-      ];
-      
-      commonFields.forEach(field => {
+      clientHeaderFields.forEach(field => {
         if (priorityItem[field] !== undefined) {
           commonOrderDetails[field] = priorityItem[field];
         }
       });
     }
 
+    // Write the header first, status only moves through the status route
+    const updateHeaderSql = `
+      UPDATE order_header
+      SET 
+        voucher_type = $2,
+        order_date = $3,
+        customer_code = $4,
+        customer_name = $5,
+        executive = $6,
+        role = $7,
+        total_quantity = $8,
+        total_amount = $9,
+        total_amount_without_tax = $10,
+        total_sgst_amount = $11,
+        total_cgst_amount = $12,
+        total_igst_amount = $13,
+        remarks = $14,
+        updated_at = NOW()
+      WHERE order_no = $1`;
+
+    await client.query(updateHeaderSql, [
+      order_no,
+      commonOrderDetails.voucher_type,
+      commonOrderDetails.order_date,
+      commonOrderDetails.customer_code,
+      commonOrderDetails.customer_name,
+      commonOrderDetails.executive,
+      commonOrderDetails.role,
+      commonOrderDetails.total_quantity,
+      commonOrderDetails.total_amount,
+      commonOrderDetails.total_amount_without_tax,
+      commonOrderDetails.total_sgst_amount,
+      commonOrderDetails.total_cgst_amount,
+      commonOrderDetails.total_igst_amount,
+      commonOrderDetails.remarks,
+    ]);
+    console.log(`📊 Updated order header for ${order_no}`);
+
     // Handle deletions first (with validation)
     if (itemsToDelete.length > 0) {
       const deleteIds = itemsToDelete.map(item => item.id);
       
       // Verify all items to delete belong to this order
-      if (orderExists) {
-        const verifySql = `
-          SELECT id FROM orders 
-          WHERE id = ANY($1::int[]) 
-          AND order_no = $2`;
-        
-        const verifyResult = await client.query(verifySql, [deleteIds, order_no]);
-        
-        if (verifyResult.rows.length !== deleteIds.length) {
-          const foundIds = verifyResult.rows.map(r => r.id);
-          const missingIds = deleteIds.filter(id => !foundIds.includes(id));
-          throw new Error(`Cannot delete items: ${missingIds.join(', ')} - they do not belong to order ${order_no}`);
-        }
+      const verifySql = `
+        SELECT id FROM order_line 
+        WHERE id = ANY($1::int[]) 
+        AND order_no = $2`;
+      
+      const verifyResult = await client.query(verifySql, [deleteIds, order_no]);
+      
+      if (verifyResult.rows.length !== deleteIds.length) {
+        const foundIds = verifyResult.rows.map(r => r.id);
+        const missingIds = deleteIds.filter(id => !foundIds.includes(id));
+        throw new Error(`Cannot delete items: ${missingIds.join(', ')} - they do not belong to order ${order_no}`);
       }
 
       const deleteSql = `
-        DELETE FROM orders 
+        DELETE FROM order_line 
         WHERE id = ANY($1::int[]) 
         AND order_no = $2 
         RETURNING id, item_name`;
@@ -803,35 +2464,31 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
         deleteResult.rows.map(r => `${r.id} (${r.item_name})`));
     }
 
-    // Handle updates
+    // Handle updates (header fields were already written above)
     if (itemsToUpdate.length > 0) {
       const allowedFields = [
-        "status", "disc_percentage", "disc_amount", "spl_disc_percentage", 
-        "spl_disc_amount", "net_rate", "gross_amount", "total_quantity", 
-        "total_amount", "total_amount_without_tax", "remarks", "quantity", 
+        "disc_percentage", "disc_amount", "spl_disc_percentage", 
+        "spl_disc_amount", "net_rate", "gross_amount", "quantity", 
         "delivery_date", "delivery_mode", "transporter_name", 
-        "total_sgst_amount", "total_cgst_amount", "total_igst_amount", 
         "sgst", "cgst", "igst", "gst", "hsn", "rate", "amount", "uom",
-        "item_code", "item_name", "order_date"
+        "item_code", "item_name"
       ];
 
       for (const [index, update] of itemsToUpdate.entries()) {
         const { id, _deleted, ...fields } = update;
 
         // Validate this item belongs to the order
-        if (orderExists) {
-          const itemCheck = await client.query(
-            'SELECT order_no FROM orders WHERE id = $1',
-            [id]
-          );
-          
-          if (itemCheck.rows.length === 0) {
-            throw new Error(`Item with ID ${id} does not exist`);
-          }
-          
-          if (itemCheck.rows[0].order_no !== order_no) {
-            throw new Error(`Item ${id} belongs to order ${itemCheck.rows[0].order_no}, not ${order_no}`);
-          }
+        const itemCheck = await client.query(
+          'SELECT order_no FROM order_line WHERE id = $1',
+          [id]
+        );
+        
+        if (itemCheck.rows.length === 0) {
+          throw new Error(`Item with ID ${id} does not exist`);
+        }
+        
+        if (itemCheck.rows[0].order_no !== order_no) {
+          throw new Error(`Item ${id} belongs to order ${itemCheck.rows[0].order_no}, not ${order_no}`);
         }
 
         const filteredFields = {};
@@ -842,7 +2499,7 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
         }
 
         if (Object.keys(filteredFields).length === 0) {
-          console.warn(`⚠️ Skipping update ${index} for ID ${id}: No valid fields`);
+          console.warn(`⚠️ Skipping update ${index} for ID ${id}: No line fields`);
           continue;
         }
 
@@ -855,7 +2512,7 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
         values.push(order_no);
 
         const sql = `
-          UPDATE orders 
+          UPDATE order_line 
           SET ${setClause} 
           WHERE id = $${values.length - 1} 
           AND order_no = $${values.length}`;
@@ -871,6 +2528,7 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
     }
 
     // Handle insertions (new rows)
+    const insertedIds = [];
     if (itemsToInsert.length > 0) {
       console.log(`➕ Inserting ${itemsToInsert.length} new items into order ${order_no}`);
       
@@ -883,17 +2541,10 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
         
         const insertItem = {
           order_no: order_no,
-          voucher_type: commonOrderDetails.voucher_type,
-          order_date: commonOrderDetails.order_date,
-          customer_code: commonOrderDetails.customer_code,
-          customer_name: commonOrderDetails.customer_name,
-          executive: commonOrderDetails.executive,
-          role: commonOrderDetails.role,
-          status: commonOrderDetails.status,
           item_code: cleanNewItem.item_code || '',
           item_name: cleanNewItem.item_name || '',
           hsn: cleanNewItem.hsn || '',
-          gst: cleanNewItem.gst || 0,
+          gst: cleanNewItem.gst ?? 0,
           sgst: cleanNewItem.sgst || 0,
           cgst: cleanNewItem.cgst || 0,
           igst: cleanNewItem.igst || 0,
@@ -909,13 +2560,6 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
           disc_amount: cleanNewItem.disc_amount || 0,
           spl_disc_percentage: cleanNewItem.spl_disc_percentage || 0,
           spl_disc_amount: cleanNewItem.spl_disc_amount || 0,
-          total_quantity: commonOrderDetails.total_quantity,
-          total_amount: commonOrderDetails.total_amount,
-          total_amount_without_tax: commonOrderDetails.total_amount_without_tax,
-          total_sgst_amount: commonOrderDetails.total_sgst_amount,
-          total_cgst_amount: commonOrderDetails.total_cgst_amount,
-          total_igst_amount: commonOrderDetails.total_igst_amount,
-          remarks: commonOrderDetails.remarks,
           transporter_name: cleanNewItem.transporter_name || '',
         };
         
@@ -923,7 +2567,6 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
       }
 
       // Insert items one by one (for better error tracking)
-      const insertedIds = [];
       for (const [index, insertItem] of insertData.entries()) {
         try {
           const insertFields = Object.keys(insertItem);
@@ -931,7 +2574,7 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
           const placeholders = insertFields.map((_, idx) => `$${idx + 1}`).join(', ');
           
           const insertSql = `
-            INSERT INTO orders (${insertFields.join(', ')})
+            INSERT INTO order_line (${insertFields.join(', ')})
             VALUES (${placeholders})
             RETURNING id, item_name`;
 
@@ -945,50 +2588,46 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
       }
     }
 
-    // Update common order details on ALL rows (only if there are existing rows)
-    if (orderExists || itemsToInsert.length > 0) {
-      const updateCommonSql = `
-        UPDATE orders 
-        SET 
-          voucher_type = $1,
-          order_date = $2,
-          customer_code = $3,
-          customer_name = $4,
-          executive = $5,
-          role = $6,
-          status = $7,
-          total_quantity = $8,
-          total_amount = $9,
-          total_amount_without_tax = $10,
-          total_sgst_amount = $11,
-          total_cgst_amount = $12,
-          total_igst_amount = $13,
-          remarks = $14
-        WHERE order_no = $15`;
-
-      const commonValues = [
-        commonOrderDetails.voucher_type,
-        commonOrderDetails.order_date,
-        commonOrderDetails.customer_code,
-        commonOrderDetails.customer_name,
-        commonOrderDetails.executive,
-        commonOrderDetails.role,
-        commonOrderDetails.status,
-        commonOrderDetails.total_quantity,
-        commonOrderDetails.total_amount,
-        commonOrderDetails.total_amount_without_tax,
-        commonOrderDetails.total_sgst_amount,
-        commonOrderDetails.total_cgst_amount,
-        commonOrderDetails.total_igst_amount,
-        commonOrderDetails.remarks,
-        order_no
-      ];
+    // Amounts and totals from the client are checked, never stored as sent
+    const pricing = await repriceOrder(client, order_no);
+    const sentTotals = validItems.find(item => item.id) || validItems[0];
+    const mismatches = findPricingMismatches(
+      [
+        ...itemsToUpdate.map(item => ({ id: item.id, sent: item })),
+        ...itemsToInsert.map((item, index) => ({ id: insertedIds[index], sent: item })),
+      ],
+      sentTotals,
+      pricing
+    );
+    const pricingCheck = pricingReport(pricingMode(req), pricing, mismatches);
+    commonOrderDetails = { ...commonOrderDetails, ...pricing.totals };
+
+    // A submitted order is checked again when its total goes up
+    let credit = null;
+    if (commonOrderDetails.status !== 'draft'
+      && pricing.totals.total_amount > toNumber(existingHeader.total_amount)) {
+      credit = await applyCreditCheck(client, order_no, commonOrderDetails.customer_code, pricing.totals.total_amount);
+    }
+
+    // Tally already has this order: the next push alters its voucher
+    if (existingHeader.tally_push_status === 'success') {
+      await client.query(
+        "UPDATE order_header SET tally_push_status = 'pending_alter' WHERE order_no = $1",
+        [order_no]
+      );
+    }
 
-      const updateResult = await client.query(updateCommonSql, commonValues);
-      console.log(`📊 Updated common order details for ${updateResult.rowCount} rows in order ${order_no}`);
+    await auditOrderChanges(client, req, order_no, beforeSnapshot, await snapshotOrder(client, order_no));
+    if (commonOrderDetails.status !== 'draft') {
+      await queueOrderWebhook(client, 'order.updated', order_no);
     }
 
     await client.query('COMMIT');
+
+    if (commonOrderDetails.status !== 'draft') {
+      notifyOrderEvent(order_no, 'modified', { actor: actorLabel(req) });
+      kickWebhookWorker();
+    }
     
     // Get the updated order data to return
     const finalResult = await client.query(
@@ -1014,16 +2653,20 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
         customer_name: commonOrderDetails.customer_name,
         total_amount: commonOrderDetails.total_amount,
         status: commonOrderDetails.status
-      }
+      },
+      pricing: pricingCheck,
+      credit
     });
 
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('❌ Transaction failed for order:', order_no, error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Database operation failed',
+      error: error.credit ? 'Credit check failed' : error.status === 422 ? 'Order amounts rejected' : 'Database operation failed',
       message: error.message,
+      mismatches: error.mismatches,
+      credit: error.credit,
       order_no: order_no,
       timestamp: new Date().toISOString()
     });
@@ -1031,11 +2674,1047 @@ app.put("/orders-by-number/:order_no", async (req, res) => {
     client.release();
   }
 });
-// ✅ USE PORT FROM ENVIRONMENT VARIABLE (RAILWAY PROVIDES THIS)
-const PORT = process.env.PORT || 5000;
+// ✅ SALES ANALYTICS (admins only, aggregated in SQL over the orders view)
+// Values are line level: taxable value plus that line's CGST/SGST/IGST
+const ANALYTICS_DIMENSIONS = {
+  customer: { key: 'customer_code', label: 'MAX(customer_name)' },
+  customer_type: { key: "COALESCE(NULLIF(customer_type, ''), 'unknown')", label: "COALESCE(NULLIF(customer_type, ''), 'unknown')" },
+  state: { key: "COALESCE(NULLIF(state, ''), 'unknown')", label: "COALESCE(NULLIF(state, ''), 'unknown')" },
+  executive: { key: "COALESCE(NULLIF(executive, ''), 'unassigned')", label: "COALESCE(NULLIF(executive, ''), 'unassigned')" },
+  item: { key: 'item_code', label: 'MAX(item_name)' },
+  parent_group: { key: "COALESCE(parent_group, 'unknown')", label: "COALESCE(parent_group, 'unknown')" },
+};
+
+// Indian financial year runs April to March. Labels are aggregated because they
+// are derived from order_date rather than from the grouped expression itself.
+const FINANCIAL_YEAR_SQL = "(EXTRACT(YEAR FROM order_date)::int - CASE WHEN EXTRACT(MONTH FROM order_date) < 4 THEN 1 ELSE 0 END)";
+const ANALYTICS_PERIODS = {
+  day: { key: 'order_date', label: "MIN(to_char(order_date, 'DD-MM-YYYY'))" },
+  week: { key: "date_trunc('week', order_date)::date", label: "MIN('Week of ' || to_char(date_trunc('week', order_date), 'DD-MM-YYYY'))" },
+  month: { key: "date_trunc('month', order_date)::date", label: "MIN(to_char(order_date, 'Mon YYYY'))" },
+  fy: {
+    key: FINANCIAL_YEAR_SQL,
+    label: `MIN('FY ' || ${FINANCIAL_YEAR_SQL} || '-' || lpad(((${FINANCIAL_YEAR_SQL} + 1) % 100)::text, 2, '0'))`,
+  },
+};
+
+const ANALYTICS_SORTS = { value: 'total_value', quantity: 'quantity', orders: 'order_count' };
+
+// Drafts and cancelled orders are not sales unless asked for explicitly
+const ANALYTICS_DEFAULT_STATUSES = ORDER_STATUSES.filter(status => !['draft', 'cancelled'].includes(status));
+
+const ANALYTICS_MEASURES = `
+  COUNT(DISTINCT order_no)::int AS order_count,
+  ROUND(COALESCE(SUM(quantity), 0), 3) AS quantity,
+  ROUND(COALESCE(SUM(gross_amount), 0), 2) AS taxable_value,
+  ROUND(COALESCE(SUM(cgst), 0), 2) AS cgst,
+  ROUND(COALESCE(SUM(sgst), 0), 2) AS sgst,
+  ROUND(COALESCE(SUM(igst), 0), 2) AS igst,
+  ROUND(COALESCE(SUM(COALESCE(cgst, 0) + COALESCE(sgst, 0) + COALESCE(igst, 0)), 0), 2) AS tax_total,
+  ROUND(COALESCE(SUM(COALESCE(gross_amount, 0) + COALESCE(cgst, 0) + COALESCE(sgst, 0) + COALESCE(igst, 0)), 0), 2) AS total_value`;
+
+// Order lines with the customer and item attributes the dimensions group on
+const analyticsSource = (query) => {
+  const conditions = [];
+  const params = [];
+  const addList = (column, value) => {
+    const values = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    params.push(values);
+    conditions.push(`${column} = ANY($${params.length}::text[])`);
+  };
+
+  addList('o.status', query.status || ANALYTICS_DEFAULT_STATUSES.join(','));
+  for (const [param, column] of [['customer_code', 'o.customer_code'], ['customer_type', 'c.customer_type'], ['state', 'c.state'], ['executive', 'o.executive']]) {
+    if (query[param]) addList(column, query[param]);
+  }
+  for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+    if (!query[param]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[param])) {
+      throw badRequest(`${param} must be a date in YYYY-MM-DD format`);
+    }
+    params.push(query[param]);
+    conditions.push(`o.order_date ${operator} $${params.length}::date`);
+  }
+
+  const sql = `
+    SELECT o.*, c.customer_type, c.state, si.parent_group
+    FROM orders o
+    LEFT JOIN customer c ON c.customer_code = o.customer_code
+    LEFT JOIN LATERAL (
+      SELECT parent_group FROM stock_item WHERE item_code = o.item_code LIMIT 1
+    ) si ON true
+    WHERE ${conditions.join(' AND ')}`;
+
+  return { sql, params };
+};
+
+const runSalesBreakdown = async (db, query, groupBy, { period, sort = 'value', top } = {}) => {
+  const grouping = groupBy === 'period' ? ANALYTICS_PERIODS[period || 'month'] : ANALYTICS_DIMENSIONS[groupBy];
+  if (!grouping) {
+    throw badRequest(groupBy === 'period'
+      ? `period must be one of: ${Object.keys(ANALYTICS_PERIODS).join(', ')}`
+      : `group_by must be one of: ${[...Object.keys(ANALYTICS_DIMENSIONS), 'period'].join(', ')}`);
+  }
+  if (!ANALYTICS_SORTS[sort]) {
+    throw badRequest(`sort must be one of: ${Object.keys(ANALYTICS_SORTS).join(', ')}`);
+  }
+
+  const source = analyticsSource(query);
+  const params = [...source.params];
+  // Periods read as a time series, everything else is ranked by the chosen measure
+  const orderBy = groupBy === 'period' ? 'key' : `${ANALYTICS_SORTS[sort]} DESC, key`;
+  let limit = '';
+  if (top) {
+    params.push(Math.min(Math.max(parseInt(top, 10) || 10, 1), 500));
+    limit = `LIMIT $${params.length}`;
+  }
+
+  const result = await db.query(
+    `WITH lines AS (${source.sql})
+     SELECT ${grouping.key} AS key, ${grouping.label} AS label, ${ANALYTICS_MEASURES}
+     FROM lines
+     GROUP BY 1
+     ORDER BY ${orderBy}
+     ${limit}`,
+    params
+  );
+  return result.rows;
+};
+
+const runSalesTotals = async (db, query) => {
+  const source = analyticsSource(query);
+  const result = await db.query(`WITH lines AS (${source.sql}) SELECT ${ANALYTICS_MEASURES} FROM lines`, source.params);
+  return result.rows[0];
+};
+
+// GET /api/analytics/sales?group_by=customer&top=10&from=2025-04-01&to=2026-03-31
+// GET /api/analytics/sales?group_by=period&period=fy
+app.get("/api/analytics/sales", authorize(ROLES.ADMIN), async (req, res) => {
+  const groupBy = String(req.query.group_by || 'customer');
 
-app.listen(PORT, () => {
-  console.log(`🚀 Backend running on port ${PORT}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
-});
\ No newline at end of file
+  try {
+    const [totals, rows] = await Promise.all([
+      runSalesTotals(pool, req.query),
+      runSalesBreakdown(pool, req.query, groupBy, { period: req.query.period, sort: req.query.sort, top: req.query.top }),
+    ]);
+    res.json({
+      group_by: groupBy,
+      period: groupBy === 'period' ? (req.query.period || 'month') : undefined,
+      totals,
+      rows,
+    });
+  } catch (err) {
+    if (!err.status) console.error("Analytics query error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Everything the dashboard landing page needs in one call
+app.get("/api/analytics/overview", authorize(ROLES.ADMIN), async (req, res) => {
+  const top = req.query.top || 5;
+
+  try {
+    const [totals, byCustomerType, byState, topCustomers, topItems, topExecutives, trend] = await Promise.all([
+      runSalesTotals(pool, req.query),
+      runSalesBreakdown(pool, req.query, 'customer_type'),
+      runSalesBreakdown(pool, req.query, 'state', { top }),
+      runSalesBreakdown(pool, req.query, 'customer', { top }),
+      runSalesBreakdown(pool, req.query, 'item', { top }),
+      runSalesBreakdown(pool, req.query, 'executive', { top }),
+      runSalesBreakdown(pool, req.query, 'period', { period: req.query.period || 'month' }),
+    ]);
+
+    res.json({
+      totals,
+      by_customer_type: byCustomerType,
+      top_states: byState,
+      top_customers: topCustomers,
+      top_items: topItems,
+      top_executives: topExecutives,
+      trend,
+    });
+  } catch (err) {
+    if (!err.status) console.error("Analytics query error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ✅ AUDIT LOG QUERY (admins only)
+app.get("/api/audit-log", authorize(ROLES.ADMIN), async (req, res) => {
+  const { entity, key, actor, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (entity) addCondition('entity = ?', entity);
+  if (key) addCondition('entity_key = ?', key);
+  if (actor) addCondition('actor_uid = ?', actor);
+  if (from) addCondition('created_at >= ?::timestamp', from);
+  if (to) addCondition('created_at <= ?::timestamp', to);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+    const result = await pool.query(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    res.json({
+      data: result.rows,
+      total: parseInt(countResult.rows[0].total, 10),
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error("Audit log query error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Move an order to its next status
+app.post("/orders-by-number/:order_no/status", authorize(...ALL_ROLES), validateBody(orderStatusSchema), async (req, res) => {
+  const { order_no } = req.params;
+  const { status, reason } = req.body || {};
+
+  if (!ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${ORDER_STATUSES.join(', ')}` });
+  }
+  if (status === 'cancelled' && !String(reason || '').trim()) {
+    return res.status(400).json({ error: "A reason is required to cancel an order" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM order_header WHERE order_no = $1 FOR UPDATE',
+      [order_no]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order || !canAccessCustomer(req, order.customer_code)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const allowedRoles = ORDER_TRANSITIONS[order.status]?.[status];
+    if (!allowedRoles) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `Cannot move order from ${order.status} to ${status}`,
+        allowed: Object.keys(ORDER_TRANSITIONS[order.status] || {})
+      });
+    }
+    if (!allowedRoles.includes(req.role)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: `Only ${allowedRoles.join(' or ')} can move an order to ${status}` });
+    }
+    if (status === 'approved' && order.credit_hold) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `Order ${order_no} is on credit hold and must be released before approval`,
+        credit_hold_reason: order.credit_hold_reason
+      });
+    }
+
+    // Submitting a draft runs the credit check the draft skipped
+    const credit = order.status === 'draft' && status === 'pending'
+      ? await applyCreditCheck(client, order_no, order.customer_code, toNumber(order.total_amount))
+      : null;
+
+    // A cancelled order that already reached Tally is cancelled there on the next push
+    const reachedTally = ['success', 'pending_alter'].includes(order.tally_push_status);
+    const updated = await client.query(
+      `UPDATE order_header
+       SET status = $1,
+           tally_push_status = CASE WHEN $3 THEN 'pending_cancel' ELSE tally_push_status END,
+           updated_at = NOW()
+       WHERE order_no = $2 RETURNING *`,
+      [status, order_no, status === 'cancelled' && reachedTally]
+    );
+    const history = await recordStatusChange(client, order_no, order.status, status, req, reason);
+    await recordAudit(client, req, {
+      entity: 'order_header',
+      key: order_no,
+      action: 'update',
+      before: order,
+      after: updated.rows[0],
+    });
+    await queueOrderWebhook(client, 'order.status_changed', order_no, {
+      from_status: order.status,
+      to_status: status,
+      reason: reason || null,
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`🔁 Order ${order_no}: ${order.status} → ${status} by ${req.role} ${req.uid}`);
+    kickWebhookWorker();
+    notifyOrderEvent(order_no, status === 'cancelled' ? 'cancelled' : 'status_changed', {
+      actor: actorLabel(req),
+      from_status: order.status,
+      reason,
+    });
+    res.json({
+      success: true,
+      message: `Order ${order_no} moved to ${status}`,
+      order_no: order_no,
+      from_status: order.status,
+      status: status,
+      history: history.rows[0],
+      credit
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Status change failed for order:', order_no, err);
+    res.status(err.status || 500).json({ error: err.message, credit: err.credit });
+  } finally {
+    client.release();
+  }
+});
+
+// Admin override for an order held by the credit check
+app.post("/orders-by-number/:order_no/credit-release", authorize(ROLES.ADMIN), async (req, res) => {
+  const { order_no } = req.params;
+  const reason = String(req.body?.reason || '').trim();
+
+  if (!reason) {
+    return res.status(400).json({ error: "A reason is required to release a credit hold" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM order_header WHERE order_no = $1 FOR UPDATE',
+      [order_no]
+    );
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (!order.credit_hold) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Order ${order_no} is not on credit hold` });
+    }
+
+    const updated = await client.query(
+      `UPDATE order_header
+       SET credit_hold = false,
+           credit_hold_reason = $2,
+           credit_released_by = $3,
+           credit_released_at = NOW(),
+           updated_at = NOW()
+       WHERE order_no = $1
+       RETURNING *`,
+      [order_no, `${order.credit_hold_reason || 'Credit hold'} (released: ${reason})`, req.uid]
+    );
+    await recordAudit(client, req, {
+      entity: 'order_header',
+      key: order_no,
+      action: 'update',
+      before: order,
+      after: updated.rows[0],
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`🔓 Order ${order_no}: credit hold released by ${req.uid}`);
+    res.json({
+      success: true,
+      message: `Credit hold released for order ${order_no}`,
+      order_no,
+      credit_released_by: req.uid,
+      credit_released_at: updated.rows[0].credit_released_at
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Credit release failed for order:', order_no, err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/orders-by-number/:order_no/status-history", authorize(...ALL_ROLES), async (req, res) => {
+  const { order_no } = req.params;
+
+  try {
+    const orderResult = await pool.query(
+      'SELECT customer_code FROM order_header WHERE order_no = $1',
+      [order_no]
+    );
+    if (orderResult.rows.length === 0 || !canAccessCustomer(req, orderResult.rows[0].customer_code)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM order_status_history WHERE order_no = $1 ORDER BY changed_at, id',
+      [order_no]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Database query error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ✅ ORDER PDF (quotation until approved, proforma invoice after)
+const loadOrderDocument = async (db, orderNo) => {
+  const headerResult = await db.query('SELECT * FROM order_header WHERE order_no = $1', [orderNo]);
+  const header = headerResult.rows[0];
+  if (!header) return null;
+
+  const lines = await db.query('SELECT * FROM order_line WHERE order_no = $1 ORDER BY id', [orderNo]);
+  const customer = await db.query(
+    'SELECT customer_code, customer_name, state, mobile_number, email FROM customer WHERE customer_code = $1',
+    [header.customer_code]
+  );
+
+  return {
+    header,
+    lines: lines.rows,
+    customer: customer.rows[0] || null,
+    interState: lines.rows.some(line => toNumber(line.igst) > 0) || isInterStateSupply(customer.rows[0]?.state),
+  };
+};
+
+// ?type=quotation|proforma overrides the title, ?download=true saves instead of previewing
+app.get("/orders-by-number/:order_no/pdf", authorize(...ALL_ROLES), async (req, res) => {
+  const { order_no } = req.params;
+  const titles = { quotation: 'Quotation', proforma: 'Proforma Invoice' };
+
+  if (req.query.type && !titles[req.query.type]) {
+    return res.status(400).json({ error: "type must be quotation or proforma" });
+  }
+
+  try {
+    const order = await loadOrderDocument(pool, order_no);
+    if (!order || !canAccessCustomer(req, order.header.customer_code)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const title = titles[req.query.type] || documentTitleForStatus(order.header.status);
+    const pdf = await renderOrderPdf({ ...order, title });
+    const filename = `${title.replace(/\s+/g, '-')}-${order_no}.pdf`.replace(/[^A-Za-z0-9._-]/g, '_');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdf.length);
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`
+    );
+    res.send(pdf);
+  } catch (err) {
+    console.error("❌ PDF generation failed for order:", order_no, err);
+    res.status(500).json({ error: "Failed to generate PDF" });
+  }
+});
+
+// ✅ ORDER EMAIL NOTIFICATIONS
+// Sent only when SMTP_HOST is configured; EMAIL_NOTIFICATIONS=false turns them off anyway.
+// ADMIN_NOTIFICATION_EMAILS overrides the admin list
+const EMAIL_NOTIFICATIONS_ENABLED = SMTP_CONFIGURED && process.env.EMAIL_NOTIFICATIONS !== 'false';
+const EMAIL_RETRY_INTERVAL_SECONDS = Number(process.env.EMAIL_RETRY_INTERVAL_SECONDS) || 60;
+
+const emailList = (value) => String(value || '').split(',').map(email => email.trim()).filter(Boolean);
+
+// executive is free text on the order: an address, or an admin's username
+const executiveEmail = async (db, executive) => {
+  const value = String(executive || '').trim();
+  if (!value) return null;
+  if (value.includes('@')) return value;
+  const result = await db.query(
+    "SELECT email FROM admins WHERE lower(username) = lower($1) AND email IS NOT NULL AND email <> '' LIMIT 1",
+    [value]
+  );
+  return result.rows[0]?.email || null;
+};
+
+const adminTeamEmails = async (db) => {
+  const configured = emailList(process.env.ADMIN_NOTIFICATION_EMAILS);
+  if (configured.length > 0) return configured;
+  const result = await db.query("SELECT email FROM admins WHERE email IS NOT NULL AND email <> ''");
+  return result.rows.map(row => row.email);
+};
+
+// Customer, executive and admin team each get their own outbox row, so one bad
+// address does not hold up the others; nobody is mailed twice for the same event
+const orderEmailAudiences = async (db, order) => {
+  const seen = new Set();
+  const unique = (emails) => emails.filter(email => {
+    const key = email.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return [
+    { audience: 'customer', recipients: unique(emailList(order.customer?.email)) },
+    { audience: 'executive', recipients: unique([await executiveEmail(db, order.header.executive)].filter(Boolean)) },
+    { audience: 'admin', recipients: unique(await adminTeamEmails(db)) },
+  ].filter(({ recipients }) => recipients.length > 0);
+};
+
+// Called after COMMIT; failures are logged and never reach the API caller
+const notifyOrderEvent = (orderNo, event, details = {}) => {
+  if (!EMAIL_NOTIFICATIONS_ENABLED) return;
+
+  (async () => {
+    const order = await loadOrderDocument(pool, orderNo);
+    if (!order) return;
+
+    const message = renderOrderEmail(event, order, details);
+    for (const { audience, recipients } of await orderEmailAudiences(pool, order)) {
+      const row = await enqueueEmail(pool, { event, orderNo, audience, recipients, ...message });
+      await deliverEmail(pool, row);
+    }
+  })().catch(err => console.error(`📧 Could not queue ${event} email for order ${orderNo}:`, err));
+};
+
+const actorLabel = (req) => `${req.role}${req.customerCode ? ` ${req.customerCode}` : ''}`;
+
+// GET /api/email-outbox?status=failed&order_no=SO/25-26/0001
+app.get("/api/email-outbox", authorize(ROLES.ADMIN), async (req, res) => {
+  const conditions = [];
+  const params = [];
+  if (req.query.status) {
+    params.push(req.query.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (req.query.order_no) {
+    params.push(req.query.order_no);
+    conditions.push(`order_no = $${params.length}`);
+  }
+  params.push(Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500));
+
+  try {
+    const result = await pool.query(
+      `SELECT id, event, order_no, audience, recipients, subject, status, attempts, last_error,
+              next_attempt_at, sent_at, created_at
+       FROM email_outbox
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Email outbox query error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Puts a failed message back in the queue with a fresh set of attempts
+app.post("/api/email-outbox/:id/retry", authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE email_outbox
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'pending') AND body_text IS NOT NULL
+       RETURNING id, status`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "No failed or pending email with that id (expired invitations are sent again through onboarding with resend)" });
+    }
+    res.json({ message: `Email ${req.params.id} queued for retry`, ...result.rows[0] });
+  } catch (err) {
+    console.error("Email retry error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const startEmailRetryWorker = () => {
+  if (!EMAIL_NOTIFICATIONS_ENABLED) return;
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { attempted, sent } = await processEmailOutbox(pool);
+      if (attempted > 0) console.log(`📧 Email retry: ${sent}/${attempted} sent`);
+    } catch (err) {
+      console.error("📧 Email retry worker failed:", err);
+    } finally {
+      running = false;
+    }
+  }, EMAIL_RETRY_INTERVAL_SECONDS * 1000).unref();
+};
+
+// ✅ CUSTOMER ONBOARDING (Firebase account + activation + password setup link)
+const ONBOARDING_BULK_LIMIT = 200;
+
+// Tally mobile numbers are free text: "98765 43210", "+91-9876543210, 0422 2345678"
+const toE164Mobile = (value) => {
+  const first = String(value || '').split(/[,;/]/)[0];
+  const digits = first.replace(/\D/g, '').replace(/^0+/, '');
+  if (digits.length === 10) return `+91${digits}`;
+  if (digits.length === 12 && digits.startsWith('91')) return `+${digits}`;
+  return null;
+};
+
+const findFirebaseUser = async (lookup) => {
+  try {
+    return await lookup();
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') return null;
+    throw err;
+  }
+};
+
+// Reuses the customer's linked user or an existing user with the same email,
+// otherwise creates one; a phone number Firebase refuses is dropped, not fatal
+const provisionFirebaseUser = async (customer) => {
+  const existing = (customer.firebase_uid && await findFirebaseUser(() => admin.auth().getUser(customer.firebase_uid)))
+    || await findFirebaseUser(() => admin.auth().getUserByEmail(customer.email));
+  if (existing) return { user: existing, created: false };
+
+  const properties = {
+    email: customer.email,
+    displayName: customer.customer_name || customer.customer_code,
+    emailVerified: false,
+    disabled: false,
+  };
+  const phoneNumber = toE164Mobile(customer.mobile_number);
+
+  try {
+    return { user: await admin.auth().createUser(phoneNumber ? { ...properties, phoneNumber } : properties), created: true };
+  } catch (err) {
+    if (phoneNumber && ['auth/phone-number-already-exists', 'auth/invalid-phone-number'].includes(err.code)) {
+      console.warn(`⚠️ ${customer.customer_code}: phone ${phoneNumber} not usable (${err.code}), creating user without it`);
+      return { user: await admin.auth().createUser(properties), created: true };
+    }
+    throw err;
+  }
+};
+
+const onboardingError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Onboards one customer; `resend` sends a fresh link to someone already onboarded
+const onboardCustomer = async (req, customerCode, { resend = false, returnLink = false } = {}) => {
+  const found = await pool.query("SELECT * FROM customer WHERE customer_code = $1", [customerCode]);
+  const customer = found.rows[0];
+
+  if (!customer) throw onboardingError(404, `Customer ${customerCode} not found`);
+  if (!roleForCustomerType(customer.customer_type)) {
+    throw onboardingError(422, `Customer type "${customer.customer_type || ''}" has no portal role`);
+  }
+  const email = String(customer.email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw onboardingError(422, `Customer ${customerCode} has no valid email address`);
+  }
+  if (customer.firebase_uid && customer.status === 'active' && !resend) {
+    throw onboardingError(409, `Customer ${customerCode} is already onboarded`);
+  }
+
+  const { user, created } = await provisionFirebaseUser({ ...customer, email });
+
+  // One Firebase account must never unlock two portal identities
+  const conflict = await pool.query(
+    `SELECT 'customer ' || customer_code AS owner FROM customer WHERE firebase_uid = $1 AND customer_code <> $2
+     UNION ALL
+     SELECT 'admin ' || username FROM admins WHERE firebase_uid = $1`,
+    [user.uid, customerCode]
+  );
+  if (conflict.rows.length > 0) {
+    throw onboardingError(409, `Firebase account ${email} is already linked to ${conflict.rows[0].owner}`);
+  }
+
+  const updates = {};
+  if (customer.firebase_uid !== user.uid) updates.firebase_uid = user.uid;
+  if (customer.status !== 'active') updates.status = 'active';
+  if (Object.keys(updates).length > 0) {
+    await updateCustomerRecord(req, customerCode, updates);
+  } else {
+    await refreshUserClaims(user.uid);
+  }
+
+  const actionCodeSettings = process.env.CLIENT_URL ? { url: `${process.env.CLIENT_URL}/login` } : undefined;
+  const link = await admin.auth().generatePasswordResetLink(email, actionCodeSettings);
+
+  let emailStatus = 'disabled';
+  if (EMAIL_NOTIFICATIONS_ENABLED) {
+    const row = await enqueueEmail(pool, {
+      event: 'onboarding',
+      orderNo: null,
+      audience: 'customer',
+      recipients: [email],
+      ...renderInviteEmail({ customer: { ...customer, email }, link }),
+    });
+    emailStatus = await deliverEmail(pool, row) ? 'sent' : 'queued';
+  }
+
+  return {
+    customer_code: customerCode,
+    firebase_uid: user.uid,
+    email,
+    firebase_user_created: created,
+    status: 'active',
+    email_status: emailStatus,
+    // Lets an admin share the link another way when mail is off or undeliverable
+    password_setup_link: returnLink || emailStatus === 'disabled' ? link : undefined,
+  };
+};
+
+// POST /customer/C001/onboard  { "resend": true, "return_link": true }
+app.post("/customer/:customer_code/onboard", authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await onboardCustomer(req, req.params.customer_code, {
+      resend: req.body?.resend === true,
+      returnLink: req.body?.return_link === true,
+    });
+    console.log(`🎟️ Onboarded ${result.customer_code} as ${result.email} (${result.firebase_user_created ? 'new' : 'existing'} Firebase user)`);
+    res.json(result);
+  } catch (err) {
+    if (!err.status) console.error("Onboarding error:", err);
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// POST /customer/onboard  { "customer_codes": ["C001", "C002"], "resend": false }
+// Customers are done one at a time so one failure does not stop the rest
+app.post("/customer/onboard", authorize(ROLES.ADMIN), async (req, res) => {
+  const codes = [...new Set((Array.isArray(req.body?.customer_codes) ? req.body.customer_codes : [])
+    .map(code => String(code).trim())
+    .filter(Boolean))];
+
+  if (codes.length === 0) {
+    return res.status(400).json({ error: "customer_codes must be a non-empty array" });
+  }
+  if (codes.length > ONBOARDING_BULK_LIMIT) {
+    return res.status(400).json({ error: `At most ${ONBOARDING_BULK_LIMIT} customers can be onboarded per request` });
+  }
+
+  const results = [];
+  for (const code of codes) {
+    try {
+      const result = await onboardCustomer(req, code, {
+        resend: req.body.resend === true,
+        returnLink: req.body.return_link === true,
+      });
+      results.push({ ...result, result: 'onboarded' });
+    } catch (err) {
+      if (!err.status) console.error(`Onboarding error for ${code}:`, err);
+      // Already-onboarded customers are expected in a bulk list
+      results.push({ customer_code: code, result: err.status === 409 ? 'skipped' : 'failed', error: err.message });
+    }
+  }
+
+  const count = (outcome) => results.filter(result => result.result === outcome).length;
+  console.log(`🎟️ Bulk onboarding: ${count('onboarded')} onboarded, ${count('skipped')} skipped, ${count('failed')} failed`);
+  res.json({
+    summary: { total: codes.length, onboarded: count('onboarded'), skipped: count('skipped'), failed: count('failed') },
+    results,
+  });
+});
+
+// ✅ OUTGOING WEBHOOKS (subscriptions are managed by admins)
+const WEBHOOK_POLL_INTERVAL_SECONDS = Number(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 30;
+
+// Order payload: the stored header and lines after the change
+const queueOrderWebhook = async (db, event, orderNo, extra = {}) => {
+  const order = await loadOrderDocument(db, orderNo);
+  if (!order) return 0;
+  return enqueueWebhookEvent(db, event, { ...extra, order: order.header, lines: order.lines });
+};
+
+// Runs the delivery worker now instead of waiting for the next poll; a kick that
+// arrives mid-run makes it go round once more
+let webhookWorkerRunning = false;
+let webhookWorkerKicked = false;
+const kickWebhookWorker = async () => {
+  if (webhookWorkerRunning) {
+    webhookWorkerKicked = true;
+    return;
+  }
+  webhookWorkerRunning = true;
+  try {
+    do {
+      webhookWorkerKicked = false;
+      const { attempted, delivered } = await processWebhookDeliveries(pool);
+      if (attempted > 0) console.log(`🪝 Webhooks: ${delivered}/${attempted} delivered`);
+    } while (webhookWorkerKicked);
+  } catch (err) {
+    console.error("🪝 Webhook worker failed:", err);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+};
+
+const startWebhookWorker = () => {
+  setInterval(kickWebhookWorker, WEBHOOK_POLL_INTERVAL_SECONDS * 1000).unref();
+};
+
+// The secret is only ever returned when it is created or rotated
+const publicSubscription = ({ secret, ...subscription }) => ({
+  ...subscription,
+  secret_hint: secret ? `…${secret.slice(-4)}` : null,
+});
+
+const parseSubscriptionBody = async (body, { partial = false } = {}) => {
+  const updates = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch {
+      throw badRequest("url must be an absolute http(s) URL");
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw badRequest("url must be an absolute http(s) URL");
+    await assertPublicWebhookUrl(url.toString());
+    updates.url = url.toString();
+  }
+
+  if (body.event_types !== undefined || !partial) {
+    const eventTypes = Array.isArray(body.event_types) ? body.event_types.map(String) : [];
+    if (eventTypes.length === 0) {
+      throw badRequest(`event_types must list one or more of: ${['*', ...WEBHOOK_EVENTS].join(', ')}`);
+    }
+    const invalid = invalidWebhookEvents(eventTypes);
+    if (invalid.length > 0) {
+      throw badRequest(`Unknown event type(s): ${invalid.join(', ')}. Available: ${['*', ...WEBHOOK_EVENTS].join(', ')}`);
+    }
+    updates.event_types = [...new Set(eventTypes)];
+  }
+
+  if (body.secret !== undefined) {
+    if (String(body.secret).length < 16) throw badRequest("secret must be at least 16 characters");
+    updates.secret = String(body.secret);
+  }
+  if (body.description !== undefined) updates.description = body.description === null ? null : String(body.description);
+  if (body.active !== undefined) updates.active = Boolean(body.active);
+
+  return updates;
+};
+
+app.get("/api/webhooks/events", authorize(ROLES.ADMIN), (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+app.get("/api/webhooks", authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.*,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_deliveries,
+        MAX(d.delivered_at) AS last_delivered_at
+      FROM webhook_subscriptions s
+      LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+      GROUP BY s.id
+      ORDER BY s.id`);
+    res.json(result.rows.map(publicSubscription));
+  } catch (err) {
+    console.error("Webhook list error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/api/webhooks", authorize(ROLES.ADMIN), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const fields = await parseSubscriptionBody(req.body || {});
+    fields.secret = fields.secret || generateWebhookSecret();
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO webhook_subscriptions (url, secret, event_types, description, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [fields.url, fields.secret, fields.event_types, fields.description ?? null, fields.active ?? true, req.uid]
+    );
+    const subscription = result.rows[0];
+    await recordAudit(client, req, { entity: 'webhook_subscription', key: subscription.id, action: 'create', after: subscription });
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...publicSubscription(subscription), secret: subscription.secret });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (!err.status) console.error("Webhook create error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// rotate_secret=true issues a new generated secret and returns it once
+app.put("/api/webhooks/:id", authorize(ROLES.ADMIN), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const fields = await parseSubscriptionBody(req.body || {}, { partial: true });
+    if (req.body?.rotate_secret === true) fields.secret = generateWebhookSecret();
+    if (Object.keys(fields).length === 0) throw badRequest("Nothing to update");
+
+    await client.query('BEGIN');
+    const before = await client.query('SELECT * FROM webhook_subscriptions WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Webhook subscription not found" });
+    }
+
+    const names = Object.keys(fields);
+    const result = await client.query(
+      `UPDATE webhook_subscriptions
+       SET ${names.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [req.params.id, ...names.map(field => fields[field])]
+    );
+    const subscription = result.rows[0];
+    await recordAudit(client, req, {
+      entity: 'webhook_subscription',
+      key: subscription.id,
+      action: 'update',
+      before: before.rows[0],
+      after: subscription,
+    });
+    await client.query('COMMIT');
+
+    res.json(fields.secret ? { ...publicSubscription(subscription), secret: subscription.secret } : publicSubscription(subscription));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (!err.status) console.error("Webhook update error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.delete("/api/webhooks/:id", authorize(ROLES.ADMIN), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await client.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *', [req.params.id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Webhook subscription not found" });
+    }
+    await recordAudit(client, req, { entity: 'webhook_subscription', key: req.params.id, action: 'delete', before: result.rows[0] });
+    await client.query('COMMIT');
+
+    res.json({ message: `Webhook subscription ${req.params.id} deleted` });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Webhook delete error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// Delivery log, newest first: GET /api/webhooks/3/deliveries?status=failed
+app.get("/api/webhooks/:id/deliveries", authorize(ROLES.ADMIN), async (req, res) => {
+  const params = [req.params.id];
+  let statusFilter = '';
+  if (req.query.status) {
+    params.push(req.query.status);
+    statusFilter = `AND status = $${params.length}`;
+  }
+  params.push(Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500));
+
+  try {
+    const result = await pool.query(
+      `SELECT id, subscription_id, event, status, attempts, last_status_code, last_error,
+              last_duration_ms, last_attempt_at, next_attempt_at, delivered_at, created_at,
+              payload::jsonb AS payload
+       FROM webhook_deliveries
+       WHERE subscription_id = $1 ${statusFilter}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Webhook delivery log error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replays one delivery (any status) with the original payload and a fresh set of attempts
+app.post("/api/webhooks/deliveries/:delivery_id/replay", authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND status <> 'sending'
+       RETURNING id, subscription_id, event`,
+      [req.params.delivery_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Delivery not found or currently being sent" });
+    }
+    await recordAudit(pool, req, { entity: 'webhook_delivery', key: req.params.delivery_id, action: 'replay' });
+    kickWebhookWorker();
+
+    res.json({ message: `Delivery ${req.params.delivery_id} queued for replay`, ...result.rows[0] });
+  } catch (err) {
+    console.error("Webhook replay error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Replays every failed delivery of one subscription, e.g. after the receiver was fixed
+app.post("/api/webhooks/:id/replay-failed", authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE subscription_id = $1 AND status = 'failed'`,
+      [req.params.id]
+    );
+    if (result.rowCount > 0) {
+      await recordAudit(pool, req, { entity: 'webhook_subscription', key: req.params.id, action: 'replay' });
+      kickWebhookWorker();
+    }
+
+    res.json({ message: `${result.rowCount} failed deliveries queued for replay`, replayed: result.rowCount });
+  } catch (err) {
+    console.error("Webhook replay error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ✅ USE PORT FROM ENVIRONMENT VARIABLE (RAILWAY PROVIDES THIS)
+const PORT = process.env.PORT || 5000;
+
+initializeDatabase()
+  .then(() => {
+    startEmailRetryWorker();
+    startWebhookWorker();
+    app.listen(PORT, () => {
+      console.log(`🚀 Backend running on port ${PORT}`);
+      console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+      if (EMAIL_NOTIFICATIONS_ENABLED) {
+        console.log(`📧 Email notifications via ${describeSmtp()}`);
+      } else {
+        console.warn(`⚠️ Email notifications are off (${SMTP_CONFIGURED ? 'EMAIL_NOTIFICATIONS=false' : 'SMTP_HOST is not set'})`);
+      }
+    });
+  })
+  // Serving on a half-migrated schema corrupts data, so refuse to start
+  .catch(err => {
+    console.error("❌ Database schema setup failed:", err);
+    process.exit(1);
+  });
\ No newline at end of file
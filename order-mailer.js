@@ -0,0 +1,245 @@
+import nodemailer from 'nodemailer';
+import { formatIndianAmount } from './order-pdf.js';
+
+// ✅ ORDER EMAIL NOTIFICATIONS
+// Every message is written to email_outbox first and then sent, so a send that fails
+// (SMTP down, bad credentials) stays queued and the retry worker picks it up later.
+// Nothing is sent unless SMTP_HOST is set; for development point SMTP_HOST/SMTP_PORT at a
+// local catcher such as Mailpit (SMTP_HOST=localhost SMTP_PORT=1025).
+
+const SMTP = {
+  host: process.env.SMTP_HOST || null,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || '',
+  pass: process.env.SMTP_PASS || '',
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Castolin Order Portal <no-reply@localhost>';
+const PORTAL_URL = process.env.CLIENT_URL || '';
+
+export const SMTP_CONFIGURED = Boolean(SMTP.host);
+
+// Where mail goes, for the startup log
+export const describeSmtp = () => `${SMTP.host}:${SMTP.port}`;
+
+export const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+
+// Minutes to wait after the 1st, 2nd, ... failed attempt
+const RETRY_BACKOFF_MINUTES = [1, 5, 15, 60, 240];
+
+// Messages carrying a one-time link (minutes the link lives): they are given up once the
+// link has expired, and their bodies are wiped as soon as they are sent or given up
+const LINK_EXPIRY_MINUTES = { onboarding: 60 };
+const LINK_EVENTS = Object.keys(LINK_EXPIRY_MINUTES);
+
+const linkExpiresAt = (row) => {
+  const minutes = LINK_EXPIRY_MINUTES[row.event];
+  return minutes ? new Date(row.created_at).getTime() + minutes * 60000 : Infinity;
+};
+
+let transporter = null;
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP.host,
+      port: SMTP.port,
+      secure: SMTP.secure,
+      auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined,
+      // Catchers usually have no certificate
+      tls: { rejectUnauthorized: process.env.SMTP_REJECT_UNAUTHORIZED !== 'false' },
+    });
+  }
+  return transporter;
+};
+
+const EVENT_SUBJECTS = {
+  created: (order) => `Order ${order.order_no} received`,
+  modified: (order) => `Order ${order.order_no} updated`,
+  status_changed: (order) => `Order ${order.order_no} is now ${order.status}`,
+  cancelled: (order) => `Order ${order.order_no} cancelled`,
+};
+
+export const ORDER_EMAIL_EVENTS = Object.keys(EVENT_SUBJECTS);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// One sentence explaining why this email was sent
+const eventSummary = (event, header, details) => {
+  const by = details.actor ? ` by ${details.actor}` : '';
+  if (event === 'created') return `A new order has been placed${by}.`;
+  if (event === 'modified') return `The order has been modified${by}.`;
+  if (event === 'cancelled') return `The order has been cancelled${by}.`;
+  return `The order moved from ${details.from_status || 'unknown'} to ${header.status}${by}.`;
+};
+
+// Subject, plain text and HTML bodies for one order event
+export const renderOrderEmail = (event, { header, lines }, details = {}) => {
+  const subjectFor = EVENT_SUBJECTS[event];
+  if (!subjectFor) throw new Error(`Unknown order email event: ${event}`);
+
+  const summary = eventSummary(event, header, details);
+  const facts = [
+    ['Order No', header.order_no],
+    ['Order Date', formatDate(header.order_date)],
+    ['Customer', `${header.customer_name || ''} (${header.customer_code})`],
+    ['Executive', header.executive || '—'],
+    ['Status', header.status],
+  ];
+  if (details.reason) facts.push(['Reason', details.reason]);
+
+  const totals = [
+    ['Taxable Value', header.total_amount_without_tax],
+    ['CGST', header.total_cgst_amount],
+    ['SGST', header.total_sgst_amount],
+    ['IGST', header.total_igst_amount],
+    ['Total', header.total_amount],
+  ].filter(([label, value]) => label === 'Total' || Number(value) > 0);
+
+  const text = [
+    summary,
+    '',
+    ...facts.map(([label, value]) => `${label}: ${value}`),
+    '',
+    'Items:',
+    ...lines.map((line, index) =>
+      `${index + 1}. ${line.item_code} ${line.item_name || ''} — ${line.quantity} ${line.uom || ''} @ Rs. ${formatIndianAmount(line.rate)} = Rs. ${formatIndianAmount(line.gross_amount)}`),
+    '',
+    ...totals.map(([label, value]) => `${label}: Rs. ${formatIndianAmount(value)}`),
+    PORTAL_URL ? `\nView the order: ${PORTAL_URL}` : '',
+  ].join('\n');
+
+  const cell = 'style="padding:4px 8px;border:1px solid #ddd"';
+  const html = `
+    <p>${escapeHtml(summary)}</p>
+    <table style="border-collapse:collapse;margin-bottom:12px">
+      ${facts.map(([label, value]) => `<tr><td ${cell}><b>${escapeHtml(label)}</b></td><td ${cell}>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>
+    <table style="border-collapse:collapse">
+      <tr><th ${cell}>#</th><th ${cell}>Item</th><th ${cell}>Qty</th><th ${cell}>Rate</th><th ${cell}>Taxable Value</th></tr>
+      ${lines.map((line, index) => `<tr>
+        <td ${cell}>${index + 1}</td>
+        <td ${cell}>${escapeHtml(line.item_code)} ${escapeHtml(line.item_name)}</td>
+        <td ${cell} align="right">${escapeHtml(line.quantity)} ${escapeHtml(line.uom)}</td>
+        <td ${cell} align="right">${formatIndianAmount(line.rate)}</td>
+        <td ${cell} align="right">${formatIndianAmount(line.gross_amount)}</td>
+      </tr>`).join('')}
+      ${totals.map(([label, value]) => `<tr><td ${cell} colspan="4" align="right"><b>${label}</b></td><td ${cell} align="right"><b>Rs. ${formatIndianAmount(value)}</b></td></tr>`).join('')}
+    </table>
+    ${PORTAL_URL ? `<p><a href="${escapeHtml(PORTAL_URL)}">Open the order portal</a></p>` : ''}`;
+
+  return { subject: subjectFor(header), text, html };
+};
+
+// Queues one message already claimed for sending; the caller hands it to deliverEmail
+// straight away and the retry worker only sees it again if that send fails
+export const enqueueEmail = async (db, { event, orderNo, audience, recipients, subject, text, html }) => {
+  const result = await db.query(
+    `INSERT INTO email_outbox (event, order_no, audience, recipients, subject, body_text, body_html, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, 'sending')
+     RETURNING *`,
+    [event, orderNo, audience, recipients, subject, text, html]
+  );
+  return result.rows[0];
+};
+
+// Sends one claimed row and records the outcome; never throws
+export const deliverEmail = async (db, row) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: MAIL_FROM,
+      to: row.recipients,
+      subject: row.subject,
+      text: row.body_text,
+      html: row.body_html,
+    });
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), message_id = $2, last_error = NULL,
+           body_text = CASE WHEN event = ANY($3) THEN NULL ELSE body_text END,
+           body_html = CASE WHEN event = ANY($3) THEN NULL ELSE body_html END
+       WHERE id = $1`,
+      [row.id, info.messageId || null, LINK_EVENTS]
+    );
+    return true;
+  } catch (err) {
+    const attempts = row.attempts + 1;
+    const delay = RETRY_BACKOFF_MINUTES[Math.min(attempts, RETRY_BACKOFF_MINUTES.length) - 1];
+    const giveUp = attempts >= EMAIL_MAX_ATTEMPTS || Date.now() + delay * 60000 > linkExpiresAt(row);
+    await db.query(
+      `UPDATE email_outbox
+       SET status = $2, attempts = $3, last_error = $4,
+           next_attempt_at = NOW() + ($5 || ' minutes')::interval,
+           body_text = CASE WHEN $2 = 'failed' AND event = ANY($6) THEN NULL ELSE body_text END,
+           body_html = CASE WHEN $2 = 'failed' AND event = ANY($6) THEN NULL ELSE body_html END
+       WHERE id = $1`,
+      [row.id, giveUp ? 'failed' : 'pending', attempts, err.message, String(delay), LINK_EVENTS]
+    );
+    console.error(`📧 Email ${row.id} (${row.subject}) failed, attempt ${attempts}/${EMAIL_MAX_ATTEMPTS}:`, err.message);
+    return false;
+  }
+};
+
+// Claims due rows so two workers never send the same message, then sends them
+export const processEmailOutbox = async (db, { limit = 20 } = {}) => {
+  for (const [event, minutes] of Object.entries(LINK_EXPIRY_MINUTES)) {
+    await db.query(
+      `UPDATE email_outbox
+       SET status = 'failed', last_error = 'The link expired before the message could be sent',
+           body_text = NULL, body_html = NULL
+       WHERE status = 'pending' AND event = $1 AND created_at < NOW() - ($2 || ' minutes')::interval`,
+      [event, String(minutes)]
+    );
+  }
+
+  const claimed = await db.query(
+    `UPDATE email_outbox SET status = 'sending'
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+
+  let sent = 0;
+  for (const row of claimed.rows) {
+    if (await deliverEmail(db, row)) sent++;
+  }
+  return { attempted: claimed.rows.length, sent };
+};
+
+// ✅ PORTAL INVITATIONS
+// Sent when an admin onboards a customer; the link comes from Firebase and expires after
+// an hour, so an invitation that could not go out by then has to be onboarded again
+export const renderInviteEmail = ({ customer, link }) => {
+  const greeting = `Dear ${customer.customer_name || customer.customer_code},`;
+  const body = 'An account has been created for you on the Castolin order portal. '
+    + `Sign in with ${customer.email} after choosing a password using the link below.`;
+  const expiry = 'The link can only be used once and expires after a while. Ask your Castolin contact for a new one if it has.';
+
+  return {
+    subject: 'Your Castolin order portal account',
+    text: [greeting, '', body, '', link, '', expiry, PORTAL_URL ? `\nPortal: ${PORTAL_URL}` : ''].join('\n'),
+    html: `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(body)}</p>
+    <p><a href="${escapeHtml(link)}">Set your password</a></p>
+    <p style="color:#666">${escapeHtml(expiry)}</p>
+    ${PORTAL_URL ? `<p><a href="${escapeHtml(PORTAL_URL)}">Open the order portal</a></p>` : ''}`,
+  };
+};
@@ -0,0 +1,150 @@
+// ✅ ORDER NUMBER ALLOCATION (SQ-DD-MM-YY-NNNN)
+// order_number_counters holds the last number handed out per prefix and period. It is
+// seeded once from the stored orders during migration; after that the allocator only
+// ever reads and bumps the counter row, it never scans the orders.
+
+export const DEFAULT_ORDER_SERIES = { prefix: 'SQ', reset_policy: 'daily', padding: 4 };
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+// order_number_counters.last_value is an INTEGER
+const MAX_SEQUENCE = 2147483647;
+
+// Day, month and year as seen in the business timezone, not the server's
+export const businessDateParts = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: BUSINESS_TIMEZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  return { day: get('day'), month: get('month'), year: get('year') };
+};
+
+export const getOrderSeries = async (db, voucherType) => {
+  const result = await db.query(
+    "SELECT prefix, reset_policy, padding FROM order_number_series WHERE voucher_type = $1",
+    [voucherType || 'Sales Order']
+  );
+  return result.rows[0] || DEFAULT_ORDER_SERIES;
+};
+
+// Counters reset daily or per financial year (April to March)
+export const orderNumberPeriod = (series, { day, month, year }) => {
+  if (series.reset_policy === 'financial_year') {
+    const startYear = Number(month) >= 4 ? Number(year) : Number(year) - 1;
+    return {
+      key: `FY${startYear}-${String(startYear + 1).slice(-2)}`,
+      from: `${startYear}-04-01`,
+      to: `${startYear + 1}-03-31`,
+    };
+  }
+  const isoDate = `${year}-${month}-${day}`;
+  return { key: isoDate, from: isoDate, to: isoDate };
+};
+
+export const formatOrderNumber = (series, { day, month, year }, sequence) =>
+  `${series.prefix}-${day}-${month}-${year.slice(-2)}-${String(sequence).padStart(series.padding, '0')}`;
+
+// Splits an issued number back into prefix, date and sequence. Anything that is not a
+// real calendar date or whose sequence does not fit the counter gives null.
+export const parseOrderNumber = (orderNo) => {
+  const match = /^(.+)-(\d{2})-(\d{2})-(\d{2})-(\d+)$/.exec(String(orderNo ?? '').trim());
+  if (!match) return null;
+
+  const [, prefix, day, month, shortYear, digits] = match;
+  const year = `20${shortYear}`;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCFullYear() !== Number(year)
+    || date.getUTCMonth() !== Number(month) - 1
+    || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+
+  const sequence = Number(digits);
+  if (!Number.isSafeInteger(sequence) || sequence < 1 || sequence > MAX_SEQUENCE) return null;
+
+  return { prefix, day, month, year, sequence };
+};
+
+// Highest sequence per prefix and period among the given order numbers
+export const highestSequences = (orderNumbers, seriesList) => {
+  const seriesByPrefix = new Map(seriesList.map(series => [series.prefix, series]));
+  const highest = new Map();
+  let skipped = 0;
+
+  for (const orderNo of orderNumbers) {
+    const parsed = parseOrderNumber(orderNo);
+    const series = parsed && seriesByPrefix.get(parsed.prefix);
+    if (!series) {
+      skipped += 1;
+      continue;
+    }
+    const { key } = orderNumberPeriod(series, parsed);
+    const counterKey = `${parsed.prefix}|${key}`;
+    const current = highest.get(counterKey);
+    if (!current || parsed.sequence > current.last_value) {
+      highest.set(counterKey, { prefix: parsed.prefix, period_key: key, last_value: parsed.sequence });
+    }
+  }
+
+  return { counters: [...highest.values()], skipped };
+};
+
+// Runs during migration. Only an empty counter table is seeded: once counters exist
+// every number came from the allocator and they are already ahead of the orders.
+export const seedOrderNumberCounters = async (db) => {
+  const existing = await db.query("SELECT 1 FROM order_number_counters LIMIT 1");
+  if (existing.rows.length > 0) return { seeded: 0, skipped: 0 };
+
+  const seriesResult = await db.query("SELECT prefix, reset_policy, padding FROM order_number_series");
+  const seriesList = seriesResult.rows.length > 0 ? seriesResult.rows : [DEFAULT_ORDER_SERIES];
+  const orders = await db.query("SELECT order_no FROM order_header");
+  const { counters, skipped } = highestSequences(orders.rows.map(row => row.order_no), seriesList);
+
+  for (const counter of counters) {
+    await db.query(`
+      INSERT INTO order_number_counters (prefix, period_key, last_value)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (prefix, period_key) DO UPDATE
+        SET last_value = GREATEST(order_number_counters.last_value, EXCLUDED.last_value),
+            updated_at = NOW()`,
+      [counter.prefix, counter.period_key, counter.last_value]
+    );
+  }
+
+  return { seeded: counters.length, skipped };
+};
+
+// Reserves the next number. Must run inside the order's transaction: the
+// counter row stays locked until COMMIT so concurrent orders queue up on it.
+export const allocateOrderNumber = async (client, voucherType) => {
+  const series = await getOrderSeries(client, voucherType);
+  const today = businessDateParts();
+  const period = orderNumberPeriod(series, today);
+
+  const result = await client.query(`
+    INSERT INTO order_number_counters (prefix, period_key, last_value)
+    VALUES ($1, $2, 1)
+    ON CONFLICT (prefix, period_key) DO UPDATE
+      SET last_value = order_number_counters.last_value + 1,
+          updated_at = NOW()
+    RETURNING last_value`,
+    [series.prefix, period.key]
+  );
+
+  return formatOrderNumber(series, today, result.rows[0].last_value);
+};
+
+// Preview only: the number is not reserved until the order is created
+export const previewOrderNumber = async (db, voucherType) => {
+  const series = await getOrderSeries(db, voucherType);
+  const today = businessDateParts();
+  const period = orderNumberPeriod(series, today);
+
+  const counter = await db.query(
+    "SELECT last_value FROM order_number_counters WHERE prefix = $1 AND period_key = $2",
+    [series.prefix, period.key]
+  );
+  return formatOrderNumber(series, today, (counter.rows[0]?.last_value || 0) + 1);
+};
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+
+// ✅ ORDER QUOTATION / PROFORMA PDF
+// Renders one order (header + lines) on A4 landscape. The built-in Helvetica has no
+// rupee glyph, so amounts are prefixed "Rs." where a currency is shown.
+
+const COMPANY = {
+  name: process.env.COMPANY_DISPLAY_NAME || 'Castolin Eutectic India',
+  address: process.env.COMPANY_ADDRESS || '',
+  gstin: process.env.COMPANY_GSTIN || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || '',
+  logoPath: process.env.COMPANY_LOGO_PATH || '',
+};
+
+const BRAND_COLOR = '#b3121a';
+const MARGIN = 30;
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+// Indian grouping: crore, lakh, thousand, hundred
+const integerInWords = (n) => {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+};
+
+// 125430.5 -> "Rupees One Lakh Twenty Five Thousand Four Hundred Thirty and Fifty Paise Only"
+export const amountInWords = (amount) => {
+  const total = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(total / 100);
+  const paise = total % 100;
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
+
+// 1234567.5 -> "12,34,567.50"
+export const formatIndianAmount = (value, decimals = 2) => {
+  const number = Number(value) || 0;
+  return number.toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const toNumber = (value) => Number(value) || 0;
+
+export const documentTitleForStatus = (status) =>
+  (['approved', 'dispatched', 'invoiced', 'closed'].includes(status) ? 'Proforma Invoice' : 'Quotation');
+
+const drawCompanyHeader = (doc, title, header) => {
+  const top = MARGIN;
+  let textLeft = MARGIN;
+
+  if (COMPANY.logoPath && fs.existsSync(COMPANY.logoPath)) {
+    doc.image(COMPANY.logoPath, MARGIN, top, { fit: [70, 50] });
+    textLeft += 80;
+  }
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(16).text(COMPANY.name, textLeft, top);
+  doc.fillColor('#333').font('Helvetica').fontSize(8);
+  [COMPANY.address, COMPANY.gstin && `GSTIN: ${COMPANY.gstin}`, [COMPANY.phone, COMPANY.email].filter(Boolean).join(' | ')]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, textLeft));
+
+  const right = doc.page.width - MARGIN;
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14).text(title.toUpperCase(), right - 250, top, { width: 250, align: 'right' });
+  doc.fillColor('#333').font('Helvetica').fontSize(9);
+  doc.text(`No: ${header.order_no}`, right - 250, top + 20, { width: 250, align: 'right' });
+  doc.text(`Date: ${formatDate(header.order_date)}`, right - 250, top + 32, { width: 250, align: 'right' });
+  doc.text(`Status: ${header.status}`, right - 250, top + 44, { width: 250, align: 'right' });
+
+  doc.moveTo(MARGIN, top + 62).lineTo(right, top + 62).strokeColor(BRAND_COLOR).lineWidth(1.5).stroke();
+  return top + 70;
+};
+
+const drawPartyDetails = (doc, y, header, customer, lines) => {
+  const half = (doc.page.width - MARGIN * 2) / 2;
+  const first = lines[0] || {};
+
+  doc.fillColor('#000').font('Helvetica-Bold').fontSize(9).text('Bill To', MARGIN, y);
+  doc.font('Helvetica').fontSize(9);
+  [
+    customer?.customer_name || header.customer_name,
+    `Customer Code: ${header.customer_code || ''}`,
+    customer?.state && `State: ${customer.state}`,
+    customer?.mobile_number && `Mobile: ${customer.mobile_number}`,
+    customer?.email && `Email: ${customer.email}`,
+  ].filter(Boolean).forEach(line => doc.text(line, MARGIN, doc.y, { width: half - 10 }));
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').text('Delivery', MARGIN + half, y);
+  doc.font('Helvetica');
+  [
+    `Delivery Date: ${formatDate(first.delivery_date) || '-'}`,
+    `Delivery Mode: ${first.delivery_mode || '-'}`,
+    `Transporter: ${first.transporter_name || '-'}`,
+    header.executive && `Executive: ${header.executive}`,
+  ].filter(Boolean).forEach(line => doc.text(line, MARGIN + half, doc.y, { width: half }));
+
+  return Math.max(leftBottom, doc.y) + 10;
+};
+
+const lineColumns = (interState) => [
+  { key: 'sno', label: '#', width: 20, align: 'center' },
+  { key: 'item_code', label: 'Item Code', width: 62 },
+  { key: 'item_name', label: 'Description', width: interState ? 228 : 188 },
+  { key: 'hsn', label: 'HSN', width: 48 },
+  { key: 'quantity', label: 'Qty', width: 42, align: 'right' },
+  { key: 'uom', label: 'UOM', width: 32 },
+  { key: 'rate', label: 'Rate', width: 56, align: 'right' },
+  { key: 'disc', label: 'Disc %', width: 36, align: 'right' },
+  { key: 'spl_disc', label: 'Spl %', width: 34, align: 'right' },
+  { key: 'gross_amount', label: 'Taxable', width: 66, align: 'right' },
+  { key: 'gst', label: 'GST %', width: 34, align: 'right' },
+  ...(interState
+    ? [{ key: 'igst', label: 'IGST', width: 56, align: 'right' }]
+    : [
+        { key: 'cgst', label: 'CGST', width: 48, align: 'right' },
+        { key: 'sgst', label: 'SGST', width: 48, align: 'right' },
+      ]),
+  { key: 'line_total', label: 'Amount', width: 66, align: 'right' },
+];
+
+const lineCells = (line, index) => ({
+  sno: String(index + 1),
+  item_code: line.item_code || '',
+  item_name: line.item_name || '',
+  hsn: line.hsn || '',
+  quantity: formatIndianAmount(line.quantity, 3).replace(/\.?0+$/, ''),
+  uom: line.uom || '',
+  rate: formatIndianAmount(line.rate),
+  disc: toNumber(line.disc_percentage) ? formatIndianAmount(line.disc_percentage) : '',
+  spl_disc: toNumber(line.spl_disc_percentage) ? formatIndianAmount(line.spl_disc_percentage) : '',
+  gross_amount: formatIndianAmount(line.gross_amount),
+  gst: line.gst !== null && line.gst !== undefined ? formatIndianAmount(line.gst).replace(/\.00$/, '') : '',
+  cgst: formatIndianAmount(line.cgst),
+  sgst: formatIndianAmount(line.sgst),
+  igst: formatIndianAmount(line.igst),
+  line_total: formatIndianAmount(toNumber(line.gross_amount) + toNumber(line.cgst) + toNumber(line.sgst) + toNumber(line.igst)),
+});
+
+const drawRow = (doc, columns, y, cells, { bold = false, fill = null } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5);
+  const height = Math.max(...columns.map(column =>
+    doc.heightOfString(cells[column.key] ?? '', { width: column.width - 6 })
+  )) + 6;
+
+  if (fill) {
+    doc.rect(MARGIN, y, columns.reduce((sum, column) => sum + column.width, 0), height).fill(fill);
+  }
+  doc.fillColor(fill === BRAND_COLOR ? '#fff' : '#000');
+
+  let x = MARGIN;
+  for (const column of columns) {
+    doc.text(cells[column.key] ?? '', x + 3, y + 3, { width: column.width - 6, align: column.align || 'left' });
+    x += column.width;
+  }
+  doc.moveTo(MARGIN, y + height).lineTo(x, y + height).strokeColor('#ccc').lineWidth(0.5).stroke();
+  return y + height;
+};
+
+const drawLines = (doc, y, lines, interState) => {
+  const columns = lineColumns(interState);
+  const headerCells = Object.fromEntries(columns.map(column => [column.key, column.label]));
+  const bottom = doc.page.height - MARGIN - 20;
+
+  y = drawRow(doc, columns, y, headerCells, { bold: true, fill: BRAND_COLOR });
+  lines.forEach((line, index) => {
+    const cells = lineCells(line, index);
+    const height = doc.heightOfString(cells.item_name, { width: columns[2].width - 6 }) + 6;
+    if (y + height > bottom) {
+      doc.addPage();
+      y = drawRow(doc, columns, MARGIN, headerCells, { bold: true, fill: BRAND_COLOR });
+    }
+    y = drawRow(doc, columns, y, cells);
+  });
+  return y + 8;
+};
+
+const drawTotals = (doc, y, header, interState) => {
+  const rows = [
+    ['Total Quantity', formatIndianAmount(header.total_quantity, 3).replace(/\.?0+$/, '')],
+    ['Taxable Value', formatIndianAmount(header.total_amount_without_tax)],
+    ...(interState
+      ? [['IGST', formatIndianAmount(header.total_igst_amount)]]
+      : [['CGST', formatIndianAmount(header.total_cgst_amount)], ['SGST', formatIndianAmount(header.total_sgst_amount)]]),
+    ['Grand Total (Rs.)', formatIndianAmount(header.total_amount)],
+  ];
+
+  if (y + rows.length * 14 + 60 > doc.page.height - MARGIN) {
+    doc.addPage();
+    y = MARGIN;
+  }
+
+  const right = doc.page.width - MARGIN;
+  rows.forEach(([label, value], index) => {
+    const last = index === rows.length - 1;
+    doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 10 : 9).fillColor('#000');
+    doc.text(label, right - 260, y, { width: 150, align: 'right' });
+    doc.text(value, right - 100, y, { width: 100, align: 'right' });
+    y += 14;
+  });
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Amount in words:', MARGIN, y + 6);
+  doc.font('Helvetica').text(amountInWords(header.total_amount), MARGIN, doc.y, { width: doc.page.width - MARGIN * 2 });
+
+  if (header.remarks) {
+    doc.moveDown(0.5).font('Helvetica-Bold').text('Remarks:', MARGIN);
+    doc.font('Helvetica').text(header.remarks, MARGIN, doc.y, { width: doc.page.width - MARGIN * 2 });
+  }
+};
+
+const drawFooter = (doc, title) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Writing inside the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(7).fillColor('#777').text(
+      `${title} - computer generated, no signature required. Page ${index + 1} of ${range.count}`,
+      MARGIN,
+      doc.page.height - MARGIN - 8,
+      { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// Resolves with the finished PDF as a Buffer, ready to stream or attach to an email
+export const renderOrderPdf = ({ header, lines, customer, title, interState }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const documentTitle = title || documentTitleForStatus(header.status);
+    doc.info.Title = `${documentTitle} ${header.order_no}`;
+    doc.info.Author = COMPANY.name;
+
+    let y = drawCompanyHeader(doc, documentTitle, header);
+    y = drawPartyDetails(doc, y, header, customer, lines);
+    y = drawLines(doc, y, lines, interState);
+    drawTotals(doc, y, header, interState);
+    drawFooter(doc, documentTitle);
+
+    doc.end();
+  });
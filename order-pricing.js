@@ -0,0 +1,145 @@
+// ✅ ORDER PRICING: discounts, GST and totals are always worked out here
+// The server never stores amounts as the client sent them; repriceOrder rewrites an order's
+// lines and totals from quantity, rate, discounts and the item master GST.
+const COMPANY_STATE = process.env.COMPANY_STATE || 'Tamil Nadu';
+const PRICE_TOLERANCE = 0.01;
+
+export const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+export const round3 = (value) => Math.round((value + Number.EPSILON) * 1000) / 1000;
+
+export const toNumber = (value) => {
+  const number = parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+};
+
+const normalizeState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+// IGST only when we know the customer sits in another state, CGST + SGST otherwise
+export const isInterStateSupply = (customerState) => {
+  const state = normalizeState(customerState);
+  return Boolean(state) && state !== 'notapplicable' && state !== normalizeState(COMPANY_STATE);
+};
+
+// Discount first, special discount on what is left, tax on the result
+export const calculateOrderLine = (line, gstRate, interState) => {
+  const quantity = toNumber(line.quantity);
+  const rate = toNumber(line.rate);
+  const amount = round2(quantity * rate);
+  const discAmount = round2(amount * toNumber(line.disc_percentage) / 100);
+  const splDiscAmount = round2((amount - discAmount) * toNumber(line.spl_disc_percentage) / 100);
+  const grossAmount = round2(amount - discAmount - splDiscAmount);
+  const halfTax = round2(grossAmount * gstRate / 200);
+
+  return {
+    gst: gstRate,
+    amount,
+    disc_amount: discAmount,
+    spl_disc_amount: splDiscAmount,
+    gross_amount: grossAmount,
+    net_rate: quantity > 0 ? round2(grossAmount / quantity) : 0,
+    cgst: interState ? 0 : halfTax,
+    sgst: interState ? 0 : halfTax,
+    igst: interState ? round2(grossAmount * gstRate / 100) : 0,
+  };
+};
+
+export const calculateOrderTotals = (lines) => {
+  const sum = (field) => round2(lines.reduce((total, line) => total + toNumber(line[field]), 0));
+  const totals = {
+    total_quantity: round3(lines.reduce((total, line) => total + toNumber(line.quantity), 0)),
+    total_amount_without_tax: sum('gross_amount'),
+    total_cgst_amount: sum('cgst'),
+    total_sgst_amount: sum('sgst'),
+    total_igst_amount: sum('igst'),
+  };
+  totals.total_amount = round2(
+    totals.total_amount_without_tax + totals.total_cgst_amount + totals.total_sgst_amount + totals.total_igst_amount
+  );
+  return totals;
+};
+
+const LINE_PRICE_FIELDS = ['gst', 'amount', 'disc_amount', 'spl_disc_amount', 'gross_amount', 'net_rate', 'cgst', 'sgst', 'igst'];
+const ORDER_TOTAL_FIELDS = ['total_quantity', 'total_amount_without_tax', 'total_cgst_amount', 'total_sgst_amount', 'total_igst_amount', 'total_amount'];
+
+// Recomputes every line of an order from its quantity, rate, discounts and the
+// item master GST, then rewrites the lines and header totals inside the transaction
+export const repriceOrder = async (client, orderNo) => {
+  const headerResult = await client.query(
+    `SELECT h.customer_code, c.state
+     FROM order_header h
+     LEFT JOIN customer c ON c.customer_code = h.customer_code
+     WHERE h.order_no = $1`,
+    [orderNo]
+  );
+  const interState = isInterStateSupply(headerResult.rows[0]?.state);
+
+  const linesResult = await client.query(
+    `SELECT l.*, s.gst AS master_gst
+     FROM order_line l
+     LEFT JOIN LATERAL (
+       SELECT gst FROM stock_item WHERE item_code = l.item_code LIMIT 1
+     ) s ON true
+     WHERE l.order_no = $1
+     ORDER BY l.id`,
+    [orderNo]
+  );
+
+  const lines = [];
+  const warnings = [];
+  for (const line of linesResult.rows) {
+    // Items missing from the master keep the GST the client sent
+    const hasMasterGst = line.master_gst !== null && line.master_gst !== undefined && line.master_gst !== '';
+    if (!hasMasterGst) {
+      warnings.push(`Item ${line.item_code || line.item_name} has no GST in stock_item, used ${toNumber(line.gst)}%`);
+    }
+    const gstRate = toNumber(hasMasterGst ? line.master_gst : line.gst);
+    const priced = calculateOrderLine(line, gstRate, interState);
+
+    await client.query(
+      `UPDATE order_line
+       SET gst = $1, amount = $2, disc_amount = $3, spl_disc_amount = $4, gross_amount = $5,
+           net_rate = $6, cgst = $7, sgst = $8, igst = $9
+       WHERE id = $10`,
+      [priced.gst, priced.amount, priced.disc_amount, priced.spl_disc_amount, priced.gross_amount,
+        priced.net_rate, priced.cgst, priced.sgst, priced.igst, line.id]
+    );
+    lines.push({ id: line.id, item_code: line.item_code, quantity: line.quantity, ...priced });
+  }
+
+  const totals = calculateOrderTotals(lines);
+  await client.query(
+    `UPDATE order_header
+     SET total_quantity = $1, total_amount_without_tax = $2, total_cgst_amount = $3,
+         total_sgst_amount = $4, total_igst_amount = $5, total_amount = $6, updated_at = NOW()
+     WHERE order_no = $7`,
+    [totals.total_quantity, totals.total_amount_without_tax, totals.total_cgst_amount,
+      totals.total_sgst_amount, totals.total_igst_amount, totals.total_amount, orderNo]
+  );
+
+  return { lines, totals, supply: interState ? 'inter-state' : 'intra-state', warnings };
+};
+
+// Compares what the client sent (by line id) with what the server worked out
+export const findPricingMismatches = (sentLines, sentTotals, pricing) => {
+  const mismatches = [];
+  const differs = (sent, expected) => sent !== undefined && sent !== null && sent !== ''
+    && Math.abs(toNumber(sent) - toNumber(expected)) > PRICE_TOLERANCE;
+
+  for (const { id, sent } of sentLines) {
+    const priced = pricing.lines.find(line => line.id === id);
+    if (!priced) continue;
+    for (const field of LINE_PRICE_FIELDS) {
+      if (differs(sent[field], priced[field])) {
+        mismatches.push({ line_id: id, item_code: priced.item_code, field, sent: sent[field], expected: priced[field] });
+      }
+    }
+  }
+
+  for (const field of ORDER_TOTAL_FIELDS) {
+    if (sentTotals && differs(sentTotals[field], pricing.totals[field])) {
+      mismatches.push({ field, sent: sentTotals[field], expected: pricing.totals[field] });
+    }
+  }
+
+  return mismatches;
+};
@@ -0,0 +1,88 @@
+import admin from 'firebase-admin';
+
+// ✅ PORTAL ROLES AND FIREBASE CUSTOM CLAIMS
+// Postgres stays the source of truth (admins table, customer.customer_type); the claims
+// are a copy on the Firebase user so that a verified ID token already says who the caller is.
+// Both the API server and the Tally sync service keep them up to date through syncUserClaims.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  DISTRIBUTOR: 'distributor',
+  CORPORATE: 'corporate',
+};
+
+// Tally marks corporate customers as "direct" or "corporate"
+export const roleForCustomerType = (customerType) => {
+  const type = String(customerType || '').toLowerCase().trim();
+  if (type === 'distributor') return ROLES.DISTRIBUTOR;
+  if (type === 'direct' || type === 'corporate') return ROLES.CORPORATE;
+  return null;
+};
+
+// Claim keys this portal owns; anything else on the user is left alone
+const PORTAL_CLAIM_KEYS = ['role', 'customer_code', 'customer_type'];
+
+// Customer columns whose change can change the claims
+export const CLAIM_SOURCE_FIELDS = ['customer_type', 'role', 'status', 'firebase_uid'];
+
+// Who the uid belongs to in Postgres and the claims that follows from it
+export const loadPortalIdentity = async (db, uid) => {
+  const adminResult = await db.query(
+    'SELECT id, username, email, mobile_number, role FROM admins WHERE firebase_uid = $1',
+    [uid]
+  );
+  if (adminResult.rows[0]) {
+    return { admin: adminResult.rows[0], customer: null, claims: { role: ROLES.ADMIN } };
+  }
+
+  const customerResult = await db.query(
+    `SELECT customer_code, customer_name, customer_type, role, state, email, mobile_number,
+            status, parent_group, price_level
+     FROM customer WHERE firebase_uid = $1`,
+    [uid]
+  );
+  const customer = customerResult.rows[0] || null;
+  // An inactive customer keeps the link but gets no role until reactivated
+  const role = customer && customer.status !== 'inactive' && roleForCustomerType(customer.customer_type);
+
+  return {
+    admin: null,
+    customer,
+    claims: role ? { role, customer_code: customer.customer_code, customer_type: customer.customer_type } : {},
+  };
+};
+
+const portalClaims = (claims) =>
+  Object.fromEntries(PORTAL_CLAIM_KEYS.filter(key => claims?.[key] !== undefined).map(key => [key, claims[key]]));
+
+export const claimsDiffer = (current, next) =>
+  JSON.stringify(portalClaims(current)) !== JSON.stringify(portalClaims(next));
+
+// Writes the claims Postgres implies for `uid` and returns them. When a role or customer
+// is taken away the refresh tokens are revoked, so the old claims stop being renewed;
+// an ID token already issued stays valid until it expires (an hour at most).
+export const syncUserClaims = async (db, uid) => {
+  if (!uid) return null;
+
+  const { claims } = await loadPortalIdentity(db, uid);
+
+  let user;
+  try {
+    user = await admin.auth().getUser(uid);
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') return null;
+    throw err;
+  }
+
+  const current = user.customClaims || {};
+  if (!claimsDiffer(current, claims)) return claims;
+
+  const others = Object.fromEntries(Object.entries(current).filter(([key]) => !PORTAL_CLAIM_KEYS.includes(key)));
+  await admin.auth().setCustomUserClaims(uid, { ...others, ...claims });
+
+  const downgraded = current.role && (current.role !== claims.role || current.customer_code !== claims.customer_code);
+  if (downgraded) await admin.auth().revokeRefreshTokens(uid);
+
+  console.log(`🔐 Claims for ${uid}: ${JSON.stringify(portalClaims(current))} → ${JSON.stringify(claims)}`);
+  return claims;
+};
@@ -0,0 +1,337 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPool } from './db.js';
+import { GST_SLABS } from './tax-config.js';
+
+// ✅ PRICE LIST CSV IMPORT
+// Parses the price list export (S.No, Item_Code, Stock_Item_Name, HSN_Code, GST%, Selling_rate),
+// plans the changes against stock_item and applies them only when asked to.
+// Used by POST /stock_item/import and by `npm run import:price-list -- <file.csv> [--confirm]`.
+
+const ITEM_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9\-\/._]{1,49}$/;
+const HSN_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+
+const COLUMN_ALIASES = {
+  item_code: ['itemcode', 'code'],
+  stock_item_name: ['stockitemname', 'itemname', 'name'],
+  hsn: ['hsncode', 'hsn', 'hsnsac'],
+  gst: ['gst', 'gstrate'],
+  rate: ['sellingrate', 'rate', 'price']
+};
+
+const PRICE_FIELDS = ['stock_item_name', 'hsn', 'gst', 'rate'];
+
+// Exports from Excel are sometimes Windows-1252 rather than UTF-8
+export const decodePriceListFile = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+// RFC 4180 style: quoted fields may contain commas, doubled quotes and line breaks.
+// Each record carries the physical line it starts on so rejects can point at the file.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  return records.filter(({ fields }) => fields.some(value => value.trim() !== ''));
+};
+
+const headerKey = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const mapColumns = (header) => {
+  const keys = header.map(headerKey);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = keys.findIndex(key => aliases.includes(key));
+    if (index !== -1) columns[field] = index;
+  }
+
+  const missing = ['item_code', 'stock_item_name', 'rate'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    const err = new Error(`Price list is missing column(s): ${missing.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  return columns;
+};
+
+// "18 %" -> 18, "" -> null, anything else non-numeric -> NaN
+export const normalizeGstRate = (value) => {
+  const text = String(value ?? '').replace(/%/g, '').trim();
+  if (text === '') return null;
+  return /^\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+};
+
+// " 1,250.00 " -> 1250, "" -> null
+export const normalizeRate = (value) => {
+  const text = String(value ?? '').replace(/[,\s₹]/g, '');
+  if (text === '') return null;
+  return /^\d+(\.\d+)?$/.test(text) ? Math.round(Number(text) * 100) / 100 : NaN;
+};
+
+const normalizeHsn = (value) => String(value ?? '').replace(/[\s.]/g, '');
+
+const normalizeName = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+// Returns the normalized rows plus the rows that cannot be imported and why.
+// Blank HSN or GST is allowed and leaves the existing value untouched on update.
+export const parsePriceList = (text) => {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    const err = new Error('Price list is empty');
+    err.status = 400;
+    throw err;
+  }
+
+  const columns = mapColumns(records[0].fields);
+  const cell = (fields, name) => (columns[name] === undefined ? '' : fields[columns[name]] ?? '');
+
+  const rows = [];
+  const rejects = [];
+  const seenCodes = new Map();
+
+  for (const { line, fields } of records.slice(1)) {
+    const itemCode = cell(fields, 'item_code').trim();
+    const row = {
+      line,
+      item_code: itemCode,
+      stock_item_name: normalizeName(cell(fields, 'stock_item_name')),
+      hsn: normalizeHsn(cell(fields, 'hsn')) || null,
+      gst: normalizeGstRate(cell(fields, 'gst')),
+      rate: normalizeRate(cell(fields, 'rate'))
+    };
+
+    const reasons = [];
+    if (!itemCode) {
+      reasons.push('Item code is missing');
+    } else if (!ITEM_CODE_PATTERN.test(itemCode)) {
+      reasons.push(`Item code "${itemCode}" contains invalid characters`);
+    } else if (seenCodes.has(itemCode.toUpperCase())) {
+      reasons.push(`Duplicate item code, first seen on line ${seenCodes.get(itemCode.toUpperCase())}`);
+    }
+    if (!row.stock_item_name) reasons.push('Item name is missing');
+    if (row.hsn !== null && !HSN_PATTERN.test(row.hsn)) {
+      reasons.push(`HSN "${row.hsn}" must be 4, 6 or 8 digits`);
+    }
+    if (Number.isNaN(row.gst)) {
+      reasons.push(`GST "${cell(fields, 'gst').trim()}" is not a number`);
+    } else if (row.gst !== null && !GST_SLABS.includes(row.gst)) {
+      reasons.push(`GST ${row.gst}% is not a valid GST slab`);
+    }
+    if (row.rate === null) {
+      reasons.push('Selling rate is missing');
+    } else if (Number.isNaN(row.rate) || row.rate <= 0) {
+      reasons.push(`Selling rate "${cell(fields, 'rate').trim()}" must be a positive number`);
+    }
+
+    if (itemCode && !seenCodes.has(itemCode.toUpperCase())) {
+      seenCodes.set(itemCode.toUpperCase(), line);
+    }
+
+    if (reasons.length > 0) {
+      rejects.push({ line, item_code: itemCode || null, stock_item_name: row.stock_item_name || null, reasons });
+    } else {
+      rows.push(row);
+    }
+  }
+
+  return { total: records.length - 1, rows, rejects };
+};
+
+const sameValue = (field, current, next) => {
+  if (field === 'gst' || field === 'rate') {
+    return current !== null && current !== '' && Number(current) === Number(next);
+  }
+  return String(current ?? '') === String(next ?? '');
+};
+
+// Compares the parsed rows with stock_item and sorts them into inserts, updates and unchanged.
+export const planPriceListImport = async (db, parsed) => {
+  // Codes match case-insensitively, the same way duplicates are found in parsePriceList
+  const codes = parsed.rows.map(row => row.item_code.toUpperCase());
+  const existing = await db.query(
+    `SELECT DISTINCT ON (UPPER(item_code)) item_code, stock_item_name, hsn, gst, rate
+     FROM stock_item WHERE UPPER(item_code) = ANY($1::text[])
+     ORDER BY UPPER(item_code), item_code`,
+    [codes]
+  );
+  const existingByCode = new Map(existing.rows.map(row => [row.item_code.toUpperCase(), row]));
+
+  const inserts = [];
+  const updates = [];
+  const unchanged = [];
+
+  for (const row of parsed.rows) {
+    const current = existingByCode.get(row.item_code.toUpperCase());
+    if (!current) {
+      inserts.push(row);
+      continue;
+    }
+
+    const changes = {};
+    for (const field of PRICE_FIELDS) {
+      if (row[field] === null) continue;
+      if (!sameValue(field, current[field], row[field])) {
+        changes[field] = { from: current[field], to: row[field] };
+      }
+    }
+
+    // Updates go by the code as stored, whatever its case in the file
+    if (Object.keys(changes).length > 0) {
+      updates.push({ ...row, item_code: current.item_code, changes });
+    } else {
+      unchanged.push({ line: row.line, item_code: current.item_code });
+    }
+  }
+
+  return {
+    summary: {
+      total: parsed.total,
+      inserts: inserts.length,
+      updates: updates.length,
+      unchanged: unchanged.length,
+      rejects: parsed.rejects.length
+    },
+    inserts,
+    updates,
+    unchanged,
+    rejects: parsed.rejects
+  };
+};
+
+// Writes a plan inside the caller's transaction. stock_item has no unique key on
+// item_code, so updates go by code and inserts only happen for codes not found above.
+export const applyPriceListImport = async (client, plan) => {
+  const changes = [];
+
+  for (const row of plan.updates) {
+    const fields = Object.keys(row.changes);
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    const before = await client.query('SELECT * FROM stock_item WHERE item_code = $1', [row.item_code]);
+    const result = await client.query(
+      `UPDATE stock_item SET ${assignments.join(', ')} WHERE item_code = $1 RETURNING *`,
+      [row.item_code, ...fields.map(field => row[field])]
+    );
+    changes.push({ action: 'update', key: row.item_code, before: before.rows[0], after: result.rows[0] });
+  }
+
+  for (const row of plan.inserts) {
+    const result = await client.query(
+      `INSERT INTO stock_item (item_code, stock_item_name, parent_group, uom, gst, hsn, rate)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [row.item_code, row.stock_item_name, 'General', null, row.gst, row.hsn, row.rate]
+    );
+    changes.push({ action: 'create', key: row.item_code, before: null, after: result.rows[0] });
+  }
+
+  return changes;
+};
+
+// ✅ CLI: node price-list-import.js <file.csv> [--confirm]
+const runCli = async () => {
+  const args = process.argv.slice(2);
+  const confirm = args.includes('--confirm');
+  const file = args.find(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('Usage: node price-list-import.js <price-list.csv> [--confirm]');
+    process.exit(1);
+  }
+
+  const pool = createPool({ max: 1 });
+
+  const client = await pool.connect();
+  try {
+    const parsed = parsePriceList(decodePriceListFile(fs.readFileSync(file)));
+    const plan = await planPriceListImport(client, parsed);
+
+    console.log(`📄 ${file}: ${plan.summary.total} rows`);
+    console.log(`   ➕ inserts:   ${plan.summary.inserts}`);
+    console.log(`   ✏️  updates:   ${plan.summary.updates}`);
+    console.log(`   ⏸️  unchanged: ${plan.summary.unchanged}`);
+    console.log(`   ❌ rejects:   ${plan.summary.rejects}`);
+
+    plan.updates.forEach(row => {
+      const changed = Object.entries(row.changes)
+        .map(([field, { from, to }]) => `${field}: ${from ?? '—'} → ${to}`)
+        .join(', ');
+      console.log(`   ✏️  line ${row.line} ${row.item_code}: ${changed}`);
+    });
+    plan.rejects.forEach(reject => {
+      console.log(`   ❌ line ${reject.line} ${reject.item_code || '(no code)'}: ${reject.reasons.join('; ')}`);
+    });
+
+    if (!confirm) {
+      console.log('🔎 Dry run only. Re-run with --confirm to write these changes.');
+      return;
+    }
+
+    await client.query('BEGIN');
+    const changes = await applyPriceListImport(client, plan);
+    await client.query('COMMIT');
+    console.log(`✅ Applied ${changes.length} change(s) to stock_item`);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Price list import failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  runCli();
+}
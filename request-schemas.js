@@ -0,0 +1,221 @@
+import { z } from 'zod';
+import { GST_SLABS } from './tax-config.js';
+import { roleForCustomerType } from './portal-claims.js';
+
+// ✅ REQUEST BODY SCHEMAS
+// Every write payload is checked here before a route touches the database. Failures
+// come back as 400 { error, details: [{ field, message }] } with one entry per field,
+// e.g. { field: "[2].quantity", message: "Quantity must be greater than 0" }.
+// Numbers may arrive as numbers or numeric strings ("1,250.50"); they leave as numbers.
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toNumberIfNumeric = (value) => {
+  if (typeof value !== 'string') return value;
+  const text = value.replace(/,/g, '').trim();
+  return text !== '' && Number.isFinite(Number(text)) ? Number(text) : value;
+};
+
+// A blank number means "not sent": the route keeps the stored value or works it out
+const optionalNumber = (schema) =>
+  z.preprocess(value => (isBlank(value) ? undefined : toNumberIfNumeric(value)), schema.optional());
+
+const amount = (label) => optionalNumber(
+  z.number({ error: `${label} must be a number` }).finite().min(0, `${label} cannot be negative`)
+);
+
+const percentage = (label) => optionalNumber(
+  z.number({ error: `${label} must be a number` }).min(0, `${label} cannot be negative`).max(100, `${label} cannot exceed 100`)
+);
+
+// "18", "18 %", 18 -> 18, and only a valid GST slab gets through
+const gstRate = optionalNumber(
+  z.number({ error: 'GST must be a number' })
+    .refine(rate => GST_SLABS.includes(rate), `GST must be one of the slabs: ${GST_SLABS.join(', ')}`)
+);
+const gstInput = z.preprocess(
+  value => (typeof value === 'string' ? value.replace(/\s*%\s*$/, '') : value),
+  gstRate
+);
+
+// Codes and HSNs are sometimes typed into number fields by the frontend
+const text = (max) => z.preprocess(
+  value => (typeof value === 'number' ? String(value) : value),
+  z.string({ error: 'Must be text' }).trim().max(max, `Must be at most ${max} characters`).nullable().optional()
+);
+
+const requiredText = (label, max) => z.preprocess(
+  value => (typeof value === 'number' ? String(value) : value),
+  z.string({ error: `${label} is required` }).trim().min(1, `${label} is required`).max(max, `${label} must be at most ${max} characters`)
+);
+
+// YYYY-MM-DD, or a full ISO timestamp whose date part is used
+const isCalendarDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(T.*)?$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+};
+
+const dateValue = (label) => z.string({ error: `${label} must be a date in YYYY-MM-DD format` })
+  .refine(isCalendarDate, `${label} must be a valid date in YYYY-MM-DD format`);
+
+const optionalDate = (label) => z.preprocess(value => (isBlank(value) ? null : value), dateValue(label).nullable().optional());
+
+const quantityValue = z.number({ error: 'Quantity must be a number' }).finite().positive('Quantity must be greater than 0');
+
+// Fields that live on order_header; the client repeats them on every row
+const orderHeaderFields = {
+  voucher_type: text(50),
+  customer_code: text(50),
+  customer_name: text(255),
+  executive: text(255),
+  role: text(50),
+  total_quantity: amount('Total quantity'),
+  total_amount: amount('Total amount'),
+  total_amount_without_tax: amount('Total amount without tax'),
+  total_cgst_amount: amount('Total CGST'),
+  total_sgst_amount: amount('Total SGST'),
+  total_igst_amount: amount('Total IGST'),
+  remarks: text(1000),
+};
+
+const orderLineFields = {
+  item_code: text(50),
+  item_name: text(255),
+  hsn: text(20),
+  gst: gstInput,
+  cgst: amount('CGST'),
+  sgst: amount('SGST'),
+  igst: amount('IGST'),
+  delivery_date: optionalDate('Delivery date'),
+  delivery_mode: text(100),
+  transporter_name: text(255),
+  quantity: optionalNumber(quantityValue),
+  uom: text(20),
+  // A blank rate is filled from the customer's price level
+  rate: amount('Rate'),
+  amount: amount('Amount'),
+  net_rate: amount('Net rate'),
+  gross_amount: amount('Gross amount'),
+  disc_percentage: percentage('Discount %'),
+  disc_amount: amount('Discount amount'),
+  spl_disc_percentage: percentage('Special discount %'),
+  spl_disc_amount: amount('Special discount amount'),
+};
+
+// POST /orders: one row per line, header fields taken from the first row
+export const createOrderSchema = z.array(
+  z.object({
+    ...orderHeaderFields,
+    ...orderLineFields,
+    customer_code: requiredText('Customer code', 50),
+    item_code: requiredText('Item code', 50),
+    quantity: z.preprocess(
+      value => (isBlank(value) ? undefined : toNumberIfNumeric(value)),
+      z.number({ error: issue => (issue.input === undefined ? 'Quantity is required' : 'Quantity must be a number') })
+        .finite().positive('Quantity must be greater than 0')
+    ),
+    date: dateValue('Order date'),
+    status: z.enum(['draft', 'pending'], { error: 'New orders can only be saved as draft or pending' }).optional(),
+  }),
+  { error: 'Request body must be an array of order lines' }
+)
+  .min(1, 'No orders provided')
+  .superRefine((lines, ctx) => {
+    lines.forEach((line, index) => {
+      if (index > 0 && line.customer_code !== lines[0].customer_code) {
+        ctx.addIssue({ code: 'custom', path: [index, 'customer_code'], message: 'All lines of an order must have the same customer code' });
+      }
+    });
+  });
+
+// PUT /orders-by-number/:order_no: rows with an id are updated (or deleted with
+// _deleted), rows without one are new lines. status is ignored here, it only moves
+// through POST /orders-by-number/:order_no/status.
+export const updateOrderSchema = z.array(
+  z.object({
+    ...orderHeaderFields,
+    ...orderLineFields,
+    id: optionalNumber(z.number({ error: 'id must be a number' }).int('id must be a whole number').positive('id must be positive')),
+    _deleted: z.boolean({ error: '_deleted must be true or false' }).optional(),
+    order_no: text(50),
+    order_date: optionalDate('Order date'),
+    status: text(20),
+  }).superRefine((line, ctx) => {
+    // New lines need what POST /orders needs
+    if (line.id || line._deleted) return;
+    if (isBlank(line.item_code)) ctx.addIssue({ code: 'custom', path: ['item_code'], message: 'Item code is required' });
+    if (line.quantity === undefined) ctx.addIssue({ code: 'custom', path: ['quantity'], message: 'Quantity is required' });
+  }),
+  { error: 'Request body must be an array of order lines' }
+).min(1, 'No data provided');
+
+// POST /orders-by-number/:order_no/status
+export const orderStatusSchema = z.object({
+  status: requiredText('Status', 20),
+  reason: text(500),
+}, { error: 'Request body must be an object' });
+
+const customerTypeValue = (label) => text(50).refine(
+  value => isBlank(value) || Boolean(roleForCustomerType(value)),
+  `${label} must be distributor, direct or corporate`
+);
+
+// PUT /distributors/:customer_code and PUT /corporates/:customer_code.
+// Unknown fields are dropped, the routes then say if nothing is left to update.
+export const customerUpdateSchema = z.object({
+  customer_name: requiredText('Customer name', 255).optional(),
+  mobile_number: z.preprocess(
+    value => (typeof value === 'number' ? String(value) : value),
+    z.string({ error: 'Mobile number must be text' }).trim()
+      .regex(/^[0-9+\-\s(),/]*$/, 'Mobile number may only contain digits, spaces and + - ( ) , /')
+      .max(100, 'Mobile number must be at most 100 characters')
+      .nullable().optional()
+  ),
+  email: z.preprocess(
+    value => (value === '' ? null : value),
+    z.email({ error: 'Email must be a valid email address' }).max(255).nullable().optional()
+  ),
+  customer_type: customerTypeValue('Customer type'),
+  role: customerTypeValue('Role'),
+  // Length and hashing are handled by hashCustomerPassword
+  password: z.string({ error: 'Password must be text' }).nullable().optional(),
+  status: z.enum(['active', 'inactive'], { error: 'Status must be active or inactive' }).optional(),
+  firebase_uid: z.string({ error: 'firebase_uid must be text' }).trim().min(1).max(128).nullable().optional(),
+}, { error: 'Request body must be an object' });
+
+// POST /signup-admin; firebase_uid is the account an admin is signing up, blank for yourself
+export const adminSignupSchema = z.object({
+  firebase_uid: z.string({ error: 'firebase_uid must be text' }).trim().min(1).max(128).optional(),
+  username: requiredText('Username', 100),
+  email: z.email({ error: 'Email must be a valid email address' }).max(255),
+  mobile_number: z.preprocess(
+    value => (isBlank(value) ? undefined : typeof value === 'number' ? String(value) : value),
+    z.string({ error: 'Mobile number must be text' }).trim()
+      .regex(/^\+?[0-9\-\s]{7,20}$/, 'Mobile number must be 7 to 20 digits, optionally starting with +')
+      .optional()
+  ),
+}, { error: 'Request body must be an object' });
+
+// [0, 'quantity'] -> "[0].quantity"
+const fieldPath = (path) => path
+  .map(part => (typeof part === 'number' ? `[${part}]` : `.${String(part)}`))
+  .join('')
+  .replace(/^\./, '');
+
+// Middleware: replaces req.body with the parsed (trimmed, numeric) values
+export const validateBody = (schema) => (req, res, next) => {
+  const result = schema.safeParse(req.body);
+  if (!result.success) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      details: result.error.issues.map(issue => ({
+        field: fieldPath(issue.path) || null,
+        message: issue.message,
+      })),
+    });
+  }
+  req.body = result.data;
+  next();
+};
@@ -0,0 +1,86 @@
+// ✅ TABLES SHARED BY THE API SERVER AND THE TALLY SYNC SERVICE
+// Either process may start first, so both create these. The definitions live here only;
+// firebase-connector runs them as part of its migration and tally-connector before its
+// first sync. Statements must stay idempotent.
+
+// Tally price levels: one row per slab, the connector replaces an item's rows on each sync
+export const PRICE_LEVEL_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS item_price_level (
+    item_code TEXT NOT NULL,
+    price_level TEXT NOT NULL,
+    effective_date DATE NOT NULL,
+    slab_from NUMERIC(14,3) NOT NULL DEFAULT 0,
+    slab_to NUMERIC(14,3),
+    rate NUMERIC(12,2) NOT NULL,
+    discount NUMERIC(5,2) NOT NULL DEFAULT 0,
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (item_code, price_level, effective_date, slab_from)
+  )`,
+  `ALTER TABLE customer ADD COLUMN IF NOT EXISTS price_level TEXT`,
+];
+
+// Closing stock pulled from Tally by the sync service; godown '' is the item total
+export const STOCK_AVAILABILITY_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS stock_availability (
+    item_code TEXT NOT NULL,
+    godown TEXT NOT NULL DEFAULT '',
+    stock_item_name TEXT,
+    closing_qty NUMERIC(14,3) NOT NULL DEFAULT 0,
+    uom TEXT,
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (item_code, godown)
+  )`,
+];
+
+// Credit position per debtor, pulled from Tally by the sync service
+export const CUSTOMER_CREDIT_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS customer_credit (
+    customer_code TEXT PRIMARY KEY,
+    ledger_name TEXT,
+    credit_limit NUMERIC(14,2) NOT NULL DEFAULT 0,
+    outstanding NUMERIC(14,2) NOT NULL DEFAULT 0,
+    overdue_amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+    overdue_bills JSONB NOT NULL DEFAULT '[]',
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`,
+];
+
+// Outgoing webhooks: admin-managed subscriptions and one delivery row per event and subscription
+export const WEBHOOK_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    event_types TEXT[] NOT NULL,
+    description TEXT,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(128),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    last_duration_ms INTEGER,
+    last_attempt_at TIMESTAMP,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`,
+  // Response bodies are no longer kept
+  `ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS last_response`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at)`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_subscription_idx ON webhook_deliveries (subscription_id, created_at DESC)`,
+];
+
+export const runSchemaStatements = async (db, statements) => {
+  for (const statement of statements) {
+    await db.query(statement);
+  }
+};
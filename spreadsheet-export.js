@@ -0,0 +1,236 @@
+import ExcelJS from 'exceljs';
+import Cursor from 'pg-cursor';
+
+// ✅ STREAMING CSV / XLSX EXPORTS
+// Rows are read from PostgreSQL with a cursor and written to the response batch by
+// batch, so an export never holds the whole result set in memory.
+
+const BATCH_SIZE = 500;
+
+// Excel number format with lakh/crore grouping (12,34,567.89)
+const INDIAN_NUMBER_FORMAT = '[>=10000000]##\\,##\\,##\\,##0.00;[>=100000]##\\,##\\,##0.00;##,##0.00';
+
+// Column types drive formatting: amount/quantity/percent are numbers, date/datetime are dates
+export const EXPORT_DEFINITIONS = {
+  orders: {
+    sheetName: 'Orders',
+    columns: [
+      { key: 'order_no', label: 'Order No' },
+      { key: 'order_date', label: 'Order Date', type: 'date' },
+      { key: 'voucher_type', label: 'Voucher Type' },
+      { key: 'status', label: 'Status' },
+      { key: 'customer_code', label: 'Customer Code' },
+      { key: 'customer_name', label: 'Customer Name' },
+      { key: 'executive', label: 'Executive' },
+      { key: 'item_code', label: 'Item Code' },
+      { key: 'item_name', label: 'Item Name' },
+      { key: 'hsn', label: 'HSN' },
+      { key: 'quantity', label: 'Quantity', type: 'quantity' },
+      { key: 'uom', label: 'UOM' },
+      { key: 'rate', label: 'Rate', type: 'amount' },
+      { key: 'amount', label: 'Amount', type: 'amount' },
+      { key: 'disc_percentage', label: 'Disc %', type: 'percent' },
+      { key: 'disc_amount', label: 'Disc Amount', type: 'amount' },
+      { key: 'spl_disc_percentage', label: 'Spl Disc %', type: 'percent' },
+      { key: 'spl_disc_amount', label: 'Spl Disc Amount', type: 'amount' },
+      { key: 'gross_amount', label: 'Taxable Value', type: 'amount' },
+      { key: 'gst', label: 'GST %', type: 'percent' },
+      { key: 'cgst', label: 'CGST', type: 'amount' },
+      { key: 'sgst', label: 'SGST', type: 'amount' },
+      { key: 'igst', label: 'IGST', type: 'amount' },
+      { key: 'delivery_date', label: 'Delivery Date', type: 'date' },
+      { key: 'delivery_mode', label: 'Delivery Mode' },
+      { key: 'transporter_name', label: 'Transporter' },
+      { key: 'total_amount', label: 'Order Total', type: 'amount' },
+      { key: 'remarks', label: 'Remarks' },
+      { key: 'tally_push_status', label: 'Tally Push' },
+      { key: 'created_at', label: 'Created At', type: 'datetime' },
+    ],
+  },
+  customer: {
+    sheetName: 'Customers',
+    columns: [
+      { key: 'customer_code', label: 'Customer Code' },
+      { key: 'customer_name', label: 'Customer Name' },
+      { key: 'customer_type', label: 'Type' },
+      { key: 'parent_group', label: 'Group' },
+      { key: 'state', label: 'State' },
+      { key: 'mobile_number', label: 'Mobile' },
+      { key: 'email', label: 'Email' },
+      { key: 'status', label: 'Status' },
+      { key: 'price_level', label: 'Price Level' },
+    ],
+  },
+  stock_item: {
+    sheetName: 'Stock Items',
+    columns: [
+      { key: 'item_code', label: 'Item Code' },
+      { key: 'stock_item_name', label: 'Item Name' },
+      { key: 'parent_group', label: 'Group' },
+      { key: 'hsn', label: 'HSN' },
+      { key: 'gst', label: 'GST %', type: 'percent' },
+      { key: 'uom', label: 'UOM' },
+      { key: 'rate', label: 'Rate', type: 'amount' },
+    ],
+  },
+};
+
+const NUMERIC_TYPES = ['amount', 'quantity', 'percent'];
+
+// ?columns=a,b,c picks and orders columns from the definition; unknown names are a 400
+export const selectExportColumns = (definition, requested) => {
+  if (!requested) return definition.columns;
+
+  const keys = String(requested).split(',').map(key => key.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !definition.columns.some(column => column.key === key));
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown export column(s): ${unknown.join(', ')}. Available: ${definition.columns.map(column => column.key).join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return keys.map(key => definition.columns.find(column => column.key === key));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// CSV cells: DD-MM-YYYY dates and en-IN grouped numbers unless indian=false
+const csvValue = (column, value, indian) => {
+  if (value === null || value === undefined) return '';
+
+  if (column.type === 'date' || column.type === 'datetime') {
+    const date = toDate(value);
+    if (!date) return String(value);
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    const day = indian
+      ? `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${date.getFullYear()}`
+      : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return column.type === 'date' ? day : `${day} ${time}`;
+  }
+
+  if (NUMERIC_TYPES.includes(column.type)) {
+    const number = Number(value);
+    if (Number.isNaN(number)) return String(value);
+    const decimals = column.type === 'quantity' ? 3 : 2;
+    return indian
+      ? number.toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+      : number.toFixed(decimals);
+  }
+
+  return String(value);
+};
+
+// Excel runs a cell starting with = + - @ (or a tab/CR before one) as a formula, so such
+// text gets a leading quote. Negative numbers we formatted ourselves are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const FORMATTED_NUMBER = /^-?[\d,]+(\.\d+)?$/;
+
+const csvEscape = (value) => {
+  const text = FORMULA_START.test(value) && !FORMATTED_NUMBER.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xlsxValue = (column, value) => {
+  if (value === null || value === undefined) return null;
+  if (column.type === 'date' || column.type === 'datetime') return toDate(value) ?? String(value);
+  if (NUMERIC_TYPES.includes(column.type)) {
+    const number = Number(value);
+    return Number.isNaN(number) ? String(value) : number;
+  }
+  return String(value);
+};
+
+const xlsxFormat = (column, indian) => {
+  if (column.type === 'date') return indian ? 'dd-mm-yyyy' : 'yyyy-mm-dd';
+  if (column.type === 'datetime') return indian ? 'dd-mm-yyyy hh:mm' : 'yyyy-mm-dd hh:mm';
+  if (column.type === 'quantity') return '0.000';
+  if (column.type === 'percent') return '0.00';
+  if (column.type === 'amount') return indian ? INDIAN_NUMBER_FORMAT : '#,##0.00';
+  return undefined;
+};
+
+// Waits for the socket to drain when the client reads slower than we query,
+// or for it to close when the client gives up
+const waitForDrain = (res) =>
+  new Promise(resolve => {
+    if (!res.writableNeedDrain || res.destroyed) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+
+const writeChunk = (res, chunk) => {
+  res.write(chunk);
+  return waitForDrain(res);
+};
+
+const readBatch = (cursor) =>
+  new Promise((resolve, reject) => {
+    cursor.read(BATCH_SIZE, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+// Streams `sql` to the response as CSV or XLSX. Errors before the first row are
+// thrown to the caller; after that the response has started and is cut short.
+export const streamExport = async ({ pool, res, sql, params, columns, format, filename, sheetName, indian = true }) => {
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(sql, params));
+  let aborted = false;
+  res.on('close', () => { aborted = true; });
+
+  try {
+    let rows = await readBatch(cursor);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM so Excel opens UTF-8 names correctly
+      await writeChunk(res, `\uFEFF${columns.map(column => csvEscape(column.label)).join(',')}\r\n`);
+
+      while (rows.length > 0 && !aborted) {
+        const chunk = rows
+          .map(row => columns.map(column => csvEscape(csvValue(column, row[column.key], indian))).join(','))
+          .join('\r\n');
+        await writeChunk(res, `${chunk}\r\n`);
+        rows = await readBatch(cursor);
+      }
+      res.end();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(column => ({
+      header: column.label,
+      key: column.key,
+      width: Math.max(column.label.length + 2, NUMERIC_TYPES.includes(column.type) ? 14 : 18),
+      style: { numFmt: xlsxFormat(column, indian) },
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    while (rows.length > 0 && !aborted) {
+      for (const row of rows) {
+        sheet.addRow(Object.fromEntries(columns.map(column => [column.key, xlsxValue(column, row[column.key])]))).commit();
+      }
+      // The workbook writes into res as rows are committed
+      await waitForDrain(res);
+      rows = await readBatch(cursor);
+    }
+    sheet.commit();
+    await workbook.commit();
+  } finally {
+    await new Promise(resolve => cursor.close(() => resolve()));
+    client.release();
+  }
+};
@@ -1,10 +1,15 @@
 import admin from 'firebase-admin';
 import express from 'express';
-import pkg from 'pg';
 import axios from 'axios';
 import serviceAccount from './config/serviceAccountKey.json' with { type: "json" };
 import fs from 'fs';
+import crypto from 'crypto';
 import { parseStringPromise } from 'xml2js';
+import { enqueueWebhookEvent } from './webhooks.js';
+import { CLAIM_SOURCE_FIELDS, syncUserClaims } from './portal-claims.js';
+import { createPool } from './db.js';
+import { PRICE_LEVEL_SCHEMA, STOCK_AVAILABILITY_SCHEMA, CUSTOMER_CREDIT_SCHEMA, WEBHOOK_SCHEMA, runSchemaStatements } from './schema.js';
+import { maxAlterId, diffSyncRecord, parseTallyImportResponse, parseTallyPriceLists, parseTallyStockAvailability, parseTallyDebtorLedgers, parseTallyBills } from './tally-parsers.js';
 
 // Initialize Firebase Admin SDK
 if (!admin.apps.length) {
@@ -14,16 +19,7 @@ if (!admin.apps.length) {
 }
 
 // PostgreSQL Connection Pool
-const pool = new pkg.Pool({
-  host: process.env.PGHOST || "localhost",
-  user: process.env.PGUSER || "postgres",
-  password: process.env.PGPASSWORD || "Rup@@.123$",
-  database: process.env.PGDATABASE || "order_management",
-  port: process.env.PGPORT || 5432,
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
+const pool = createPool();
 
 // Test connection
 pool.connect((err, client, release) => {
@@ -36,16 +32,26 @@ pool.connect((err, client, release) => {
 });
 
 const app = express();
-const port = 3000;
+const port = process.env.SYNC_PORT || 3000;
 
 // Configuration
 const TALLY_URL = 'http://localhost:9000';
 const COMPANY_NAME = 'CASTOLIN EUTECTIC INDIA';
 
+// Ledgers used when pushing Sales Orders into Tally
+const SALES_LEDGER = process.env.TALLY_SALES_LEDGER || 'Sales';
+const CGST_LEDGER = process.env.TALLY_CGST_LEDGER || 'CGST';
+const SGST_LEDGER = process.env.TALLY_SGST_LEDGER || 'SGST';
+const IGST_LEDGER = process.env.TALLY_IGST_LEDGER || 'IGST';
+
+// SYNC_DEBUG=true writes raw Tally responses and sync summaries to the working directory;
+// otherwise nothing is written there (summaries are kept in sync_runs)
+const SYNC_DEBUG = process.env.SYNC_DEBUG === 'true';
+
 // Function to save raw XML for debugging
 function saveRawXml(xmlData, type) {
   try {
-    if (!xmlData) return null;
+    if (!SYNC_DEBUG || !xmlData) return null;
     const filename = `debug-${type}-${Date.now()}.xml`;
     fs.writeFileSync(filename, typeof xmlData === 'string' ? xmlData : JSON.stringify(xmlData));
     console.log(`📄 Raw ${type} XML saved to ${filename}`);
@@ -100,6 +106,63 @@ const getItemXmlRequest = () => {
   </ENVELOPE>`;
 };
 
+// INCREMENTAL REQUEST: ONLY MASTERS ALTERED AFTER THE LAST SEEN ALTERID
+// Tally bumps a master's ALTERID on every create/alter, so a collection filtered on
+// $AlterID returns just what changed since the previous sync.
+const getIncrementalMasterXmlRequest = (masterType, lastAlterId) => {
+  const collectionName = `Portal${masterType}Changes`;
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <VERSION>1</VERSION>
+    <TALLYREQUEST>Export</TALLYREQUEST>
+    <TYPE>Collection</TYPE>
+    <ID>${collectionName}</ID>
+  </HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(COMPANY_NAME)}</SVCURRENTCOMPANY>
+        <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+      </STATICVARIABLES>
+      <TDL>
+        <TDLMESSAGE>
+          <COLLECTION NAME="${collectionName}" ISMODIFY="No">
+            <TYPE>${masterType}</TYPE>
+            <NATIVEMETHOD>*</NATIVEMETHOD>
+            <FILTER>${collectionName}Filter</FILTER>
+          </COLLECTION>
+          <SYSTEM TYPE="Formulae" NAME="${collectionName}Filter">$AlterID &gt; ${Number(lastAlterId) || 0}</SYSTEM>
+        </TDLMESSAGE>
+      </TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+};
+
+// Master nodes arrive under IMPORTDATA > REQUESTDATA > TALLYMESSAGE for report
+// exports and under DATA > COLLECTION for collection (incremental) exports
+function extractTallyNodes(parsed, tag) {
+  const body = parsed?.ENVELOPE?.BODY;
+  const nodes = [];
+  const add = (value) => {
+    if (!value) return;
+    if (Array.isArray(value)) {
+      nodes.push(...value);
+    } else {
+      nodes.push(value);
+    }
+  };
+
+  const messages = body?.IMPORTDATA?.REQUESTDATA?.TALLYMESSAGE;
+  if (messages) {
+    (Array.isArray(messages) ? messages : [messages]).forEach(message => add(message[tag]));
+  }
+  add(body?.DATA?.COLLECTION?.[tag]);
+
+  return nodes;
+}
+
 // ✅ ENHANCED MOBILE NUMBER PARSER FUNCTION
 function extractMobileNumber(mobileRaw) {
   if (!mobileRaw || mobileRaw === '-' || mobileRaw === 'NA' || mobileRaw === 'N/A') {
@@ -155,31 +218,7 @@ async function parseTallyCustomers(xmlData) {
 
     console.log('📊 XML parsed successfully');
 
-    let ledgers = [];
-
-    if (parsed.ENVELOPE && 
-        parsed.ENVELOPE.BODY && 
-        parsed.ENVELOPE.BODY.IMPORTDATA && 
-        parsed.ENVELOPE.BODY.IMPORTDATA.REQUESTDATA) {
-      
-      const requestData = parsed.ENVELOPE.BODY.IMPORTDATA.REQUESTDATA;
-      
-      if (requestData.TALLYMESSAGE) {
-        const tallyMessages = Array.isArray(requestData.TALLYMESSAGE) 
-          ? requestData.TALLYMESSAGE 
-          : [requestData.TALLYMESSAGE];
-
-        for (const message of tallyMessages) {
-          if (message.LEDGER) {
-            if (Array.isArray(message.LEDGER)) {
-              ledgers = ledgers.concat(message.LEDGER);
-            } else {
-              ledgers.push(message.LEDGER);
-            }
-          }
-        }
-      }
-    }
+    const ledgers = extractTallyNodes(parsed, 'LEDGER');
 
     console.log(`📊 Found ${ledgers.length} ledger nodes`);
 
@@ -248,6 +287,13 @@ async function parseTallyCustomers(xmlData) {
           }
         }
 
+        // Price level assigned to the ledger (blank when it uses the default list)
+        let priceLevel = null;
+        if (ledger.PRICELEVEL) {
+          const priceLevelRaw = typeof ledger.PRICELEVEL === 'object' ? ledger.PRICELEVEL._ : ledger.PRICELEVEL;
+          priceLevel = String(priceLevelRaw ?? '').trim() || null;
+        }
+
         // 5️⃣ Extract email
         let email = null;
         if (ledger.EMAIL) {
@@ -315,7 +361,8 @@ if (customerType === 'direct' && ledger.UDF_PRODUCTCATEGORY_LIST) {
           state: state,
           customer_type: customerType,
           role: customerType, // Same lowercase value as customer_type
-          parent_group: parent
+          parent_group: parent,
+          price_level: priceLevel
         };
 
         console.log(`📝 Sundry Debtor Customer: ${customer.customer_name} | Type: ${customer.customer_type} | Code: ${customer.customer_code || 'N/A'}`);
@@ -365,32 +412,7 @@ async function parseTallyItems(xmlData) {
       trim: true,
     });
 
-    let stockItems = [];
-
-    if (
-      parsed.ENVELOPE &&
-      parsed.ENVELOPE.BODY &&
-      parsed.ENVELOPE.BODY.IMPORTDATA &&
-      parsed.ENVELOPE.BODY.IMPORTDATA.REQUESTDATA
-    ) {
-      const requestData = parsed.ENVELOPE.BODY.IMPORTDATA.REQUESTDATA;
-
-      if (requestData.TALLYMESSAGE) {
-        const tallyMessages = Array.isArray(requestData.TALLYMESSAGE)
-          ? requestData.TALLYMESSAGE
-          : [requestData.TALLYMESSAGE];
-
-        for (const message of tallyMessages) {
-          if (message.STOCKITEM) {
-            if (Array.isArray(message.STOCKITEM)) {
-              stockItems = stockItems.concat(message.STOCKITEM);
-            } else {
-              stockItems.push(message.STOCKITEM);
-            }
-          }
-        }
-      }
-    }
+    const stockItems = extractTallyNodes(parsed, 'STOCKITEM');
 
     console.log(`📦 Found ${stockItems.length} <STOCKITEM> nodes`);
 
@@ -599,12 +621,109 @@ async function parseTallyItemsAlternative(xmlData) {
   return items;
 }
 
+// ✅ PRICE LEVELS (FULLPRICELIST.LIST on each stock item)
+async function ensurePriceLevelTables() {
+  await runSchemaStatements(pool, PRICE_LEVEL_SCHEMA);
+}
+
+async function savePriceLevelsToPostgreSQL(xmlData) {
+  const { rows, itemCodes } = parseTallyPriceLists(xmlData);
+  if (itemCodes.length === 0) return { rows: 0, items: 0 };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM item_price_level WHERE item_code = ANY($1::text[])', [itemCodes]);
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO item_price_level (item_code, price_level, effective_date, slab_from, slab_to, rate, discount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (item_code, price_level, effective_date, slab_from) DO UPDATE SET
+           slab_to = EXCLUDED.slab_to, rate = EXCLUDED.rate, discount = EXCLUDED.discount, synced_at = NOW()`,
+        [row.item_code, row.price_level, row.effective_date, row.slab_from, row.slab_to, row.rate, row.discount]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`💰 Price levels: ${rows.length} slabs for ${itemCodes.length} items`);
+  return { rows: rows.length, items: itemCodes.length };
+}
+
+// ✅ INCREMENTAL SYNC STATE (last seen ALTERID per company and collection)
+async function ensureSyncStateTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tally_sync_state (
+      company TEXT NOT NULL,
+      collection TEXT NOT NULL,
+      last_alter_id BIGINT NOT NULL DEFAULT 0,
+      last_synced_at TIMESTAMPTZ,
+      last_full_sync_at TIMESTAMPTZ,
+      last_record_count INTEGER,
+      PRIMARY KEY (company, collection)
+    )
+  `);
+}
+
+async function getSyncState(collection) {
+  const result = await pool.query(
+    'SELECT * FROM tally_sync_state WHERE company = $1 AND collection = $2',
+    [COMPANY_NAME, collection]
+  );
+  return result.rows[0] || { company: COMPANY_NAME, collection, last_alter_id: 0 };
+}
+
+// A full export resets the watermark (recovers from a restored or rewritten company);
+// an incremental one can only move it forward.
+async function advanceSyncState(collection, { alterId, fullSync, recordCount }) {
+  await pool.query(
+    `INSERT INTO tally_sync_state (company, collection, last_alter_id, last_synced_at, last_full_sync_at, last_record_count)
+     VALUES ($1, $2, $3, NOW(), CASE WHEN $4::boolean THEN NOW() END, $5)
+     ON CONFLICT (company, collection) DO UPDATE SET
+       last_alter_id = CASE WHEN $4::boolean THEN EXCLUDED.last_alter_id
+                            ELSE GREATEST(tally_sync_state.last_alter_id, EXCLUDED.last_alter_id) END,
+       last_synced_at = NOW(),
+       last_full_sync_at = CASE WHEN $4::boolean THEN NOW() ELSE tally_sync_state.last_full_sync_at END,
+       last_record_count = EXCLUDED.last_record_count`,
+    [COMPANY_NAME, collection, alterId, fullSync, recordCount]
+  );
+}
+
+// Moves the watermark only when every record was saved, so failures are retried next run
+async function finishSync(collection, { xmlData, incremental, records, summary, previousAlterId }) {
+  const alterId = maxAlterId(xmlData);
+
+  if (summary && summary.errors.length > 0) {
+    console.log(`⚠️ ${collection}: ${summary.errors.length} errors, keeping ALTERID watermark at ${previousAlterId}`);
+    return;
+  }
+  if (!incremental && alterId === 0) {
+    console.log(`ℹ️ ${collection}: full export carried no ALTERID, next run will be a full export again`);
+  }
+
+  await advanceSyncState(collection, { alterId, fullSync: !incremental, recordCount: records.length });
+  console.log(`🔖 ${collection}: ALTERID watermark ${incremental ? Math.max(alterId, previousAlterId) : alterId}`);
+}
+
 // FUNCTION TO PULL CUSTOMERS FROM TALLY
-async function pullCustomersFromTally() {
+async function pullCustomersFromTally({ fullSync = false } = {}) {
   console.log('📥 Pulling customers from Tally...');
   console.log(`🏢 Using company: "${COMPANY_NAME}"`);
-  
-  const xmlRequest = getCustomerXmlRequest();
+
+  const state = await getSyncState('customers');
+  const incremental = !fullSync && Number(state.last_alter_id) > 0;
+  const xmlRequest = incremental
+    ? getIncrementalMasterXmlRequest('Ledger', state.last_alter_id)
+    : getCustomerXmlRequest();
+
+  console.log(incremental
+    ? `🔁 Incremental sync: ledgers altered after ALTERID ${state.last_alter_id}`
+    : '📚 Full customer export');
 
   try {
     console.log('Sending XML request to Tally...');
@@ -618,31 +737,39 @@ async function pullCustomersFromTally() {
     console.log('Content length:', response.data?.length || 'unknown');
     
     if (!response.data) {
-      console.log('❌ Empty response from Tally');
-      return [];
+      throw new Error('Empty response from Tally');
     }
 
     // Save raw response
     const savedFile = saveRawXml(response.data, `customers-response`);
+    const sync = { xmlData: response.data, incremental, previousAlterId: state.last_alter_id };
     
     // Parse customers
     const customers = await parseTallyCustomers(response.data);
 
     if (customers.length > 0) {
       console.log(`🎉 Success! Found ${customers.length} customers`);
-      await saveCustomersToPostgreSQL(customers);
-      return customers;
+      const summary = await saveCustomersToPostgreSQL(customers);
+      await finishSync('customers', { ...sync, records: customers, summary });
+      return { records: customers, summary };
     } else {
       console.log(`❌ No customers found`);
-      console.log(`📁 Check saved file for analysis: ${savedFile}`);
+      if (savedFile) console.log(`📁 Check saved file for analysis: ${savedFile}`);
       
       // Let's try an alternative parsing approach
       console.log('🔄 Trying alternative parsing...');
       const alternativeCustomers = await parseTallyCustomersAlternative(response.data);
       if (alternativeCustomers.length > 0) {
         console.log(`🎉 Alternative parsing found ${alternativeCustomers.length} customers`);
-        await saveCustomersToPostgreSQL(alternativeCustomers);
-        return alternativeCustomers;
+        const summary = await saveCustomersToPostgreSQL(alternativeCustomers);
+        await finishSync('customers', { ...sync, records: alternativeCustomers, summary });
+        return { records: alternativeCustomers, summary };
+      }
+
+      if (incremental) {
+        console.log(`ℹ️ No customers altered since ALTERID ${state.last_alter_id}`);
+        await finishSync('customers', { ...sync, records: [] });
+        return { records: [], summary: null };
       }
     }
   } catch (err) {
@@ -656,18 +783,27 @@ async function pullCustomersFromTally() {
     if (err.response) {
       console.error('Response status:', err.response.status);
     }
+    throw err;
   }
 
   console.log('❌ Customer request failed');
-  return [];
+  throw new Error('No customers found in the Tally response');
 }
 
 // 🧩 FUNCTION TO PULL STOCK ITEMS FROM TALLY
-async function pullItemsFromTally() {
+async function pullItemsFromTally({ fullSync = false } = {}) {
   console.log('📥 Pulling stock items from Tally...');
   console.log(`🏢 Using company: "${COMPANY_NAME}"`);
 
-  const xmlRequest = getItemXmlRequest();
+  const state = await getSyncState('items');
+  const incremental = !fullSync && Number(state.last_alter_id) > 0;
+  const xmlRequest = incremental
+    ? getIncrementalMasterXmlRequest('StockItem', state.last_alter_id)
+    : getItemXmlRequest();
+
+  console.log(incremental
+    ? `🔁 Incremental sync: stock items altered after ALTERID ${state.last_alter_id}`
+    : '📚 Full stock item export');
 
   try {
     console.log('Sending XML request to Tally...');
@@ -681,29 +817,40 @@ async function pullItemsFromTally() {
     console.log('Content length:', response.data?.length || 'unknown');
 
     if (!response.data) {
-      console.log('❌ Empty response from Tally');
-      return [];
+      throw new Error('Empty response from Tally');
     }
 
     // Save raw response for debugging
     const savedFile = saveRawXml(response.data, `items-response`);
+    const sync = { xmlData: response.data, incremental, previousAlterId: state.last_alter_id };
+
+    // Price lists travel on the item masters, so they follow the same watermark
+    await savePriceLevelsToPostgreSQL(response.data);
 
     // Try XML parsing first
     const items = await parseTallyItems(response.data);
 
     if (items.length > 0) {
       console.log(`🎉 Success! Found ${items.length} stock items`);
-      await saveItemsToPostgreSQL(items);
-      return items;
+      const summary = await saveItemsToPostgreSQL(items);
+      await finishSync('items', { ...sync, records: items, summary });
+      return { records: items, summary };
     } else {
       console.log('❌ No items found using XML parser');
-      console.log(`📁 Check saved file: ${savedFile}`);
+      if (savedFile) console.log(`📁 Check saved file: ${savedFile}`);
       console.log('🔄 Trying alternative string-based parser...');
       const altItems = await parseTallyItemsAlternative(response.data);
       if (altItems.length > 0) {
         console.log(`🎉 Alternative parsing found ${altItems.length} items`);
-        await saveItemsToPostgreSQL(altItems);
-        return altItems;
+        const summary = await saveItemsToPostgreSQL(altItems);
+        await finishSync('items', { ...sync, records: altItems, summary });
+        return { records: altItems, summary };
+      }
+
+      if (incremental) {
+        console.log(`ℹ️ No stock items altered since ALTERID ${state.last_alter_id}`);
+        await finishSync('items', { ...sync, records: [] });
+        return { records: [], summary: null };
       }
     }
   } catch (err) {
@@ -714,10 +861,11 @@ async function pullItemsFromTally() {
       console.error('2. ODBC Server is enabled (Port 9000)');
       console.error(`3. Company "${COMPANY_NAME}" is open in Tally`);
     }
+    throw err;
   }
 
   console.log('❌ Item pull failed');
-  return [];
+  throw new Error('No stock items found in the Tally response');
 }
 
 // ALTERNATIVE PARSING METHOD - DIRECT STRING PARSING
@@ -761,6 +909,8 @@ async function parseTallyCustomersAlternative(xmlData) {
         mobileNumber = extractMobileNumber(mobileRaw);
       }
 
+      const priceLevel = ledgerXml.match(/<PRICELEVEL>(.*?)<\/PRICELEVEL>/)?.[1]?.trim() || null;
+
       // Extract STATE
       let state = 'not_applicable';
       const stateMatch = ledgerXml.match(/<STATE>(.*?)<\/STATE>/);
@@ -814,6 +964,7 @@ if (customerType === 'direct') {
         customer_type: customerType,
         role: customerType, // Same lowercase value as customer_type
         parent_group: parent,
+        price_level: priceLevel,
       };
 
       console.log(`📝 Sundry Debtor Customer (alt): ${customer.customer_name} | Type: ${customer.customer_type} | Code: ${customer.customer_code}`);
@@ -826,177 +977,1128 @@ if (customerType === 'direct') {
   return customers;
 }
 
-// UPDATED FUNCTION TO SAVE CUSTOMERS TO POSTGRESQL - EXPLICIT DEFAULTS
+// Fields each side owns. Tally is the master for these; firebase_uid, status and
+// password belong to the portal and are never touched by the sync.
+const CUSTOMER_SYNC_FIELDS = ['customer_name', 'mobile_number', 'state', 'email', 'customer_type', 'role', 'parent_group', 'price_level'];
+const ITEM_SYNC_FIELDS = ['stock_item_name', 'parent_group', 'uom', 'gst', 'hsn', 'rate'];
+
+// ✅ WEBHOOK EVENTS FOR MASTER CHANGES
+// Deliveries are only queued here; the API server's worker sends them
+async function ensureWebhookTables() {
+  await runSchemaStatements(pool, WEBHOOK_SCHEMA);
+}
+
+// A webhook problem must never fail the sync of the record itself
+async function queueMasterWebhook(event, data) {
+  try {
+    await enqueueWebhookEvent(pool, event, data);
+  } catch (error) {
+    console.warn(`⚠️ Could not queue ${event} webhook:`, error.message);
+  }
+}
+
+// Portal credentials never leave the building
+function publicCustomerRecord({ password, firebase_uid, ...customer }) {
+  return customer;
+}
+
+function newSyncSummary(entity) {
+  return { entity, created: [], updated: [], unchanged: 0, skipped: [], errors: [] };
+}
+
+function logSyncSummary(summary) {
+  console.log(`✅ PostgreSQL ${summary.entity}: ${summary.created.length} added, ${summary.updated.length} updated, ${summary.unchanged} unchanged, ${summary.skipped.length} skipped, ${summary.errors.length} errors`);
+  summary.updated.forEach(record => {
+    const changed = Object.entries(record.changes)
+      .map(([field, { from, to }]) => `${field}: ${from ?? '—'} → ${to}`)
+      .join(', ');
+    console.log(`   ✏️ ${record.code} (${record.name}): ${changed}`);
+  });
+
+  if (!SYNC_DEBUG) return;
+  try {
+    const filename = `sync-summary-${summary.entity}-${Date.now()}.json`;
+    fs.writeFileSync(filename, JSON.stringify(summary, null, 2));
+    console.log(`📄 ${summary.entity} sync summary saved to ${filename}`);
+  } catch (err) {
+    console.warn('⚠️ Failed to save sync summary:', err.message);
+  }
+}
+
+// UPSERT CUSTOMERS: INSERT NEW CODES, UPDATE ONLY THE FIELDS THAT CHANGED IN TALLY
 async function saveCustomersToPostgreSQL(customers) {
+  const summary = newSyncSummary('customers');
+
   if (customers.length === 0) {
     console.log('ℹ️ No customers to save');
-    return;
+    return summary;
   }
 
   const validCustomers = customers.filter(customer => customer.customer_code && customer.customer_code.trim() !== '');
-  
-  console.log(`📊 Filtered customers: ${validCustomers.length} valid customers (${customers.length - validCustomers.length} skipped due to empty customer_code)`);
-  
+  customers
+    .filter(customer => !customer.customer_code || customer.customer_code.trim() === '')
+    .forEach(customer => summary.skipped.push({ code: null, name: customer.customer_name, reason: 'empty customer_code' }));
+
+  console.log(`📊 Filtered customers: ${validCustomers.length} valid customers (${summary.skipped.length} skipped due to empty customer_code)`);
+
   if (validCustomers.length === 0) {
     console.log('ℹ️ No valid customers to save (all customers have empty customer_code)');
-    return;
+    logSyncSummary(summary);
+    return summary;
   }
-  
-  console.log(`💾 Saving ${validCustomers.length} customers to PostgreSQL...`);
-  
-  let savedCount = 0;
-  let errorCount = 0;
-  let duplicateCount = 0;
-  
+
+  console.log(`💾 Syncing ${validCustomers.length} customers to PostgreSQL...`);
+
+  const existingResult = await pool.query(
+    'SELECT * FROM customer WHERE customer_code = ANY($1::text[])',
+    [validCustomers.map(customer => customer.customer_code.trim())]
+  );
+  const existingByCode = new Map(existingResult.rows.map(row => [row.customer_code, row]));
+
   for (const customer of validCustomers) {
+    const code = customer.customer_code.trim();
     try {
-      // Use ON CONFLICT DO NOTHING instead of INSERT IGNORE
-      const insertSql = `
-        INSERT INTO customer 
-        (customer_code, customer_name, mobile_number, state, email, 
-         password, customer_type, role, status, parent_group, firebase_uid)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        ON CONFLICT (customer_code) DO NOTHING
-      `;
-      
-      const result = await pool.query(insertSql, [
-        customer.customer_code,
-        customer.customer_name,
-        customer.mobile_number,
-        customer.state || 'not_applicable',
-        customer.email,
-        null,                              // password is NULL
-        customer.customer_type,            // From UDF:PRODUCTCATEGORY
-        customer.role,                     // Same as customer_type
-        'inactive',                        // Default status
-        customer.parent_group || 'Sundry Debtors',
-        null                               // firebase_uid is NULL
-      ]);
-      
-      if (result.rowCount > 0) {
-        console.log(`✅ Added: ${customer.customer_name} (Code: ${customer.customer_code}, Type: ${customer.customer_type})`);
-        savedCount++;
-      } else {
-        console.log(`⏭️ Skipped duplicate: ${customer.customer_name} (Code: ${customer.customer_code})`);
-        duplicateCount++;
+      const existing = existingByCode.get(code);
+
+      if (!existing) {
+        const result = await pool.query(
+          `INSERT INTO customer 
+           (customer_code, customer_name, mobile_number, state, email, 
+            password, customer_type, role, status, parent_group, firebase_uid, price_level)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+           ON CONFLICT (customer_code) DO NOTHING
+           RETURNING *`,
+          [
+            code,
+            customer.customer_name,
+            customer.mobile_number,
+            customer.state || 'not_applicable',
+            customer.email,
+            null,                              // password is set by the portal
+            customer.customer_type,            // From UDF:PRODUCTCATEGORY
+            customer.role,                     // Same as customer_type
+            'inactive',                        // Activated by the portal
+            customer.parent_group || 'Sundry Debtors',
+            null,                              // firebase_uid is linked by the portal
+            customer.price_level ?? null
+          ]
+        );
+        if (result.rows[0]) {
+          existingByCode.set(code, result.rows[0]);
+          await queueMasterWebhook('customer.created', { customer: publicCustomerRecord(result.rows[0]) });
+        }
+        console.log(`✅ Added: ${customer.customer_name} (Code: ${code}, Type: ${customer.customer_type})`);
+        summary.created.push({ code, name: customer.customer_name });
+        continue;
       }
-      
+
+      const changes = diffSyncRecord(existing, customer, CUSTOMER_SYNC_FIELDS);
+      const fields = Object.keys(changes);
+      if (fields.length === 0) {
+        summary.unchanged++;
+        continue;
+      }
+
+      const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+      const result = await pool.query(
+        `UPDATE customer SET ${assignments.join(', ')} WHERE customer_code = $1 RETURNING *`,
+        [code, ...fields.map(field => changes[field].to)]
+      );
+      if (result.rows[0]) {
+        existingByCode.set(code, result.rows[0]);
+        await queueMasterWebhook('customer.updated', { customer: publicCustomerRecord(result.rows[0]), changes });
+        // A customer type change in Tally can change what a portal user may do
+        if (result.rows[0].firebase_uid && fields.some(field => CLAIM_SOURCE_FIELDS.includes(field))) {
+          await syncUserClaims(pool, result.rows[0].firebase_uid)
+            .catch(error => console.warn(`⚠️ Could not sync claims for ${code}:`, error.message));
+        }
+      }
+      console.log(`✏️ Updated: ${customer.customer_name} (Code: ${code}) - ${fields.join(', ')}`);
+      summary.updated.push({ code, name: customer.customer_name, changes });
+
     } catch (error) {
       console.error(`❌ Error processing customer ${customer.customer_name}:`, error.message);
-      errorCount++;
+      summary.errors.push({ code, name: customer.customer_name, error: error.message });
     }
   }
-  
-  console.log(`✅ PostgreSQL: ${savedCount} new customers added, ${duplicateCount} duplicates skipped, ${errorCount} errors`);
-  
-  // Log summary of skipped customers
-  const skippedCustomers = customers.filter(customer => !customer.customer_code || customer.customer_code.trim() === '');
-  if (skippedCustomers.length > 0) {
-    console.log(`⏭️ Skipped ${skippedCustomers.length} customers with empty customer_code:`);
-    skippedCustomers.forEach(customer => {
-      console.log(`   - ${customer.customer_name} (Type: ${customer.customer_type})`);
-    });
-  }
+
+  logSyncSummary(summary);
+  return summary;
 }
 
-// 🧩 SIMPLIFIED SAVE ITEMS TO POSTGRESQL - NO CONSTRAINT REQUIRED
+// 🧩 UPSERT STOCK ITEMS - NO UNIQUE CONSTRAINT ON item_code, SO MATCH BY CODE
 async function saveItemsToPostgreSQL(items) {
+  const summary = newSyncSummary('items');
+
   if (items.length === 0) {
     console.log('ℹ️ No stock items to save');
-    return;
+    return summary;
   }
 
   // Filter out items with empty or null item_code
   const validItems = items.filter(item => item.item_code && item.item_code.trim() !== '');
-  
-  console.log(`📊 Filtered items: ${validItems.length} valid items (${items.length - validItems.length} skipped due to empty item_code)`);
-  
+  items
+    .filter(item => !item.item_code || item.item_code.trim() === '')
+    .forEach(item => summary.skipped.push({ code: null, name: item.stock_item_name, reason: 'empty item_code' }));
+
+  console.log(`📊 Filtered items: ${validItems.length} valid items (${summary.skipped.length} skipped due to empty item_code)`);
+
   if (validItems.length === 0) {
     console.log('ℹ️ No valid items to save (all items have empty item_code)');
-    return;
+    logSyncSummary(summary);
+    return summary;
   }
 
-  console.log(`💾 Saving ${validItems.length} items to PostgreSQL...`);
+  console.log(`💾 Syncing ${validItems.length} items to PostgreSQL...`);
 
-  let savedCount = 0;
-  let errorCount = 0;
-  let duplicateCount = 0;
+  const existingResult = await pool.query(
+    `SELECT DISTINCT ON (item_code) * FROM stock_item
+     WHERE item_code = ANY($1::text[])
+     ORDER BY item_code`,
+    [validItems.map(item => item.item_code.trim())]
+  );
+  const existingByCode = new Map(existingResult.rows.map(row => [row.item_code, row]));
 
   for (const item of validItems) {
+    const code = item.item_code.trim();
     try {
-      // First check if item already exists
-      const checkSql = 'SELECT item_code FROM stock_item WHERE item_code = $1';
-      const checkResult = await pool.query(checkSql, [item.item_code]);
-      
-      if (checkResult.rows.length > 0) {
-        console.log(`⏭️ Skipped duplicate: ${item.stock_item_name} (Code: ${item.item_code})`);
-        duplicateCount++;
+      const existing = existingByCode.get(code);
+
+      if (!existing) {
+        const result = await pool.query(
+          `INSERT INTO stock_item 
+           (item_code, stock_item_name, parent_group, uom, gst, hsn, rate)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING *`,
+          [
+            code,
+            item.stock_item_name,
+            item.parent_group,
+            item.uom,
+            item.gst,
+            item.hsn ?? null,
+            item.rate,
+          ]
+        );
+        existingByCode.set(code, result.rows[0]);
+        await queueMasterWebhook('item.created', { item: result.rows[0] });
+        console.log(`✅ Added: ${item.stock_item_name} (Code: ${code}, Rate: ${item.rate || 'N/A'})`);
+        summary.created.push({ code, name: item.stock_item_name });
         continue;
       }
-      
-      // Insert new item
-      const insertSql = `
-        INSERT INTO stock_item 
-        (item_code, stock_item_name, parent_group, uom, gst, hsn, rate)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `;
-
-      const result = await pool.query(insertSql, [
-        item.item_code,
-        item.stock_item_name,
-        item.parent_group,
-        item.uom,
-        item.gst,
-        item.hsn,
-        item.rate,
-      ]);
-
-      if (result.rowCount > 0) {
-        console.log(`✅ Added: ${item.stock_item_name} (Code: ${item.item_code}, Rate: ${item.rate || 'N/A'})`);
-        savedCount++;
+
+      const changes = diffSyncRecord(existing, item, ITEM_SYNC_FIELDS);
+      const fields = Object.keys(changes);
+      if (fields.length === 0) {
+        summary.unchanged++;
+        continue;
+      }
+
+      const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+      const result = await pool.query(
+        `UPDATE stock_item SET ${assignments.join(', ')} WHERE item_code = $1 RETURNING *`,
+        [code, ...fields.map(field => changes[field].to)]
+      );
+      if (result.rows[0]) {
+        existingByCode.set(code, result.rows[0]);
+        await queueMasterWebhook('item.updated', { item: result.rows[0], changes });
       }
+      console.log(`✏️ Updated: ${item.stock_item_name} (Code: ${code}) - ${fields.join(', ')}`);
+      summary.updated.push({ code, name: item.stock_item_name, changes });
+
     } catch (error) {
-      // Check if it's a duplicate key error
-      if (error.code === '23505') { // unique_violation
-        console.log(`⏭️ Skipped duplicate (constraint violation): ${item.stock_item_name} (Code: ${item.item_code})`);
-        duplicateCount++;
+      console.error(`❌ Error processing item ${item.stock_item_name}:`, error.message);
+      summary.errors.push({ code, name: item.stock_item_name, error: error.message });
+    }
+  }
+
+  logSyncSummary(summary);
+  return summary;
+}
+
+// Escape text for use inside Tally XML tags
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Tally expects dates as YYYYMMDD
+function toTallyDate(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}${month}${day}`;
+  }
+  return String(value).slice(0, 10).replace(/-/g, '');
+}
+
+function toAmount(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : 0;
+}
+
+// 🧾 BUILD SALES ORDER VOUCHER XML FROM ALL ROWS OF ONE ORDER
+function getSalesOrderXmlRequest(orderRows, action = 'Create') {
+  const header = orderRows[0];
+  const voucherType = header.voucher_type || 'Sales Order';
+  const orderDate = toTallyDate(header.order_date);
+  const orderNo = escapeXml(header.order_no);
+
+  let taxableTotal = 0;
+  let cgstTotal = 0;
+  let sgstTotal = 0;
+  let igstTotal = 0;
+
+  const inventoryEntries = orderRows.map(line => {
+    const quantity = toAmount(line.quantity);
+    const rate = toAmount(line.rate);
+    const uom = escapeXml(line.uom || '');
+
+    // Discount and special discount are applied one after the other
+    const discount = toAmount(line.disc_percentage);
+    const splDiscount = toAmount(line.spl_disc_percentage);
+    const effectiveDiscount = toAmount((1 - (1 - discount / 100) * (1 - splDiscount / 100)) * 100);
+
+    const taxable = toAmount(line.gross_amount) || toAmount(quantity * toAmount(line.net_rate || line.rate));
+    taxableTotal += taxable;
+    cgstTotal += toAmount(line.cgst);
+    sgstTotal += toAmount(line.sgst);
+    igstTotal += toAmount(line.igst);
+
+    return `
+<ALLINVENTORYENTRIES.LIST>
+<STOCKITEMNAME>${escapeXml(line.item_name)}</STOCKITEMNAME>
+<ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+<RATE>${rate.toFixed(2)}/${uom}</RATE>
+<DISCOUNT>${effectiveDiscount}</DISCOUNT>
+<AMOUNT>${taxable.toFixed(2)}</AMOUNT>
+<ACTUALQTY> ${quantity} ${uom}</ACTUALQTY>
+<BILLEDQTY> ${quantity} ${uom}</BILLEDQTY>
+<BATCHALLOCATIONS.LIST>
+<ORDERNO>${orderNo}</ORDERNO>
+<ORDERDUEDATE>${toTallyDate(line.delivery_date || header.order_date)}</ORDERDUEDATE>
+<AMOUNT>${taxable.toFixed(2)}</AMOUNT>
+<ACTUALQTY> ${quantity} ${uom}</ACTUALQTY>
+<BILLEDQTY> ${quantity} ${uom}</BILLEDQTY>
+</BATCHALLOCATIONS.LIST>
+<ACCOUNTINGALLOCATIONS.LIST>
+<LEDGERNAME>${escapeXml(SALES_LEDGER)}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+<AMOUNT>${taxable.toFixed(2)}</AMOUNT>
+</ACCOUNTINGALLOCATIONS.LIST>
+</ALLINVENTORYENTRIES.LIST>`;
+  }).join('');
+
+  // Prefer the order level tax totals, fall back to the sum of the lines
+  cgstTotal = toAmount(header.total_cgst_amount) || toAmount(cgstTotal);
+  sgstTotal = toAmount(header.total_sgst_amount) || toAmount(sgstTotal);
+  igstTotal = toAmount(header.total_igst_amount) || toAmount(igstTotal);
+
+  const taxEntries = [
+    [CGST_LEDGER, cgstTotal],
+    [SGST_LEDGER, sgstTotal],
+    [IGST_LEDGER, igstTotal],
+  ]
+    .filter(([, amount]) => amount > 0)
+    .map(([ledger, amount]) => `
+<LEDGERENTRIES.LIST>
+<LEDGERNAME>${escapeXml(ledger)}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+<AMOUNT>${amount.toFixed(2)}</AMOUNT>
+</LEDGERENTRIES.LIST>`)
+    .join('');
+
+  // Party is debited with everything credited above so the voucher balances
+  const partyAmount = toAmount(taxableTotal + cgstTotal + sgstTotal + igstTotal);
+  const deliveryLine = orderRows.find(line => line.delivery_mode || line.transporter_name) || header;
+
+  const voucherAttributes = action === 'Alter'
+    ? `VCHTYPE="${escapeXml(voucherType)}" ACTION="Alter" TAGNAME="Voucher Number" TAGVALUE="${orderNo}"`
+    : `VCHTYPE="${escapeXml(voucherType)}" ACTION="Create" OBJVIEW="Invoice Voucher View"`;
+
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+<HEADER>
+<TALLYREQUEST>Import Data</TALLYREQUEST>
+</HEADER>
+<BODY>
+<IMPORTDATA>
+<REQUESTDESC>
+<REPORTNAME>Vouchers</REPORTNAME>
+<STATICVARIABLES>
+<SVCURRENTCOMPANY>${escapeXml(COMPANY_NAME)}</SVCURRENTCOMPANY>
+</STATICVARIABLES>
+</REQUESTDESC>
+<REQUESTDATA>
+<TALLYMESSAGE xmlns:UDF="TallyUDF">
+<VOUCHER ${voucherAttributes}>
+<DATE>${orderDate}</DATE>
+<VOUCHERTYPENAME>${escapeXml(voucherType)}</VOUCHERTYPENAME>
+<VOUCHERNUMBER>${orderNo}</VOUCHERNUMBER>
+<REFERENCE>${orderNo}</REFERENCE>
+<PARTYLEDGERNAME>${escapeXml(header.customer_name)}</PARTYLEDGERNAME>
+<PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>
+<ISINVOICE>Yes</ISINVOICE>
+<BASICBUYERNAME>${escapeXml(header.customer_name)}</BASICBUYERNAME>
+<BASICSHIPDOCUMENTNO>${escapeXml(deliveryLine.delivery_mode || '')}</BASICSHIPDOCUMENTNO>
+<BASICSHIPPEDBY>${escapeXml(deliveryLine.transporter_name || '')}</BASICSHIPPEDBY>
+<NARRATION>${escapeXml(header.remarks || '')}</NARRATION>
+<LEDGERENTRIES.LIST>
+<LEDGERNAME>${escapeXml(header.customer_name)}</LEDGERNAME>
+<ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
+<ISPARTYLEDGER>Yes</ISPARTYLEDGER>
+<AMOUNT>-${partyAmount.toFixed(2)}</AMOUNT>
+</LEDGERENTRIES.LIST>${inventoryEntries}${taxEntries}
+</VOUCHER>
+</TALLYMESSAGE>
+</REQUESTDATA>
+</IMPORTDATA>
+</BODY>
+</ENVELOPE>`;
+}
+
+// 🧾 CANCEL A SALES ORDER VOUCHER TALLY ALREADY HAS; the voucher number stays taken
+function getSalesOrderCancelXmlRequest(header) {
+  const voucherType = header.voucher_type || 'Sales Order';
+  const orderNo = escapeXml(header.order_no);
+
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+<HEADER>
+<TALLYREQUEST>Import Data</TALLYREQUEST>
+</HEADER>
+<BODY>
+<IMPORTDATA>
+<REQUESTDESC>
+<REPORTNAME>Vouchers</REPORTNAME>
+<STATICVARIABLES>
+<SVCURRENTCOMPANY>${escapeXml(COMPANY_NAME)}</SVCURRENTCOMPANY>
+</STATICVARIABLES>
+</REQUESTDESC>
+<REQUESTDATA>
+<TALLYMESSAGE xmlns:UDF="TallyUDF">
+<VOUCHER DATE="${toTallyDate(header.order_date)}" TAGNAME="Voucher Number" TAGVALUE="${orderNo}" VCHTYPE="${escapeXml(voucherType)}" ACTION="Cancel">
+<NARRATION>${escapeXml(header.cancel_reason || 'Cancelled in the order portal')}</NARRATION>
+</VOUCHER>
+</TALLYMESSAGE>
+</REQUESTDATA>
+</IMPORTDATA>
+</BODY>
+</ENVELOPE>`;
+}
+
+// 📤 FUNCTION TO PUSH ONE PORTAL ORDER INTO TALLY AS A SALES ORDER
+async function pushOrderToTally(orderNo) {
+  console.log(`📤 Pushing order ${orderNo} to Tally...`);
+
+  const orderResult = await pool.query(
+    'SELECT * FROM orders WHERE order_no = $1 ORDER BY id',
+    [orderNo]
+  );
+
+  if (orderResult.rows.length === 0) {
+    console.log(`❌ Order ${orderNo} not found`);
+    return null;
+  }
+
+  // pending_alter: Tally has an older version of the voucher (the order was edited after
+  // it was pushed). pending_cancel: the order was cancelled after it was pushed.
+  const header = orderResult.rows[0];
+  const pushState = header.tally_push_status;
+  let action = 'Create';
+  let xmlRequest;
+  if (pushState === 'pending_cancel') {
+    action = 'Cancel';
+    const reasonResult = await pool.query(
+      `SELECT reason FROM order_status_history
+       WHERE order_no = $1 AND to_status = 'cancelled'
+       ORDER BY id DESC LIMIT 1`,
+      [orderNo]
+    );
+    xmlRequest = getSalesOrderCancelXmlRequest({ ...header, cancel_reason: reasonResult.rows[0]?.reason });
+  } else {
+    // Orders Tally already knows about are altered instead of created again
+    if (pushState === 'pending_alter' || pushState === 'success') action = 'Alter';
+    xmlRequest = getSalesOrderXmlRequest(orderResult.rows, action);
+  }
+
+  let result;
+  try {
+    const response = await axios.post(TALLY_URL, xmlRequest, {
+      headers: { 'Content-Type': 'application/xml' },
+      timeout: 30000,
+    });
+
+    result = parseTallyImportResponse(response.data);
+    if (result.errors > 0 || (result.created === 0 && result.altered === 0 && result.cancelled === 0)) {
+      saveRawXml(response.data, `order-push-error`);
+    }
+  } catch (err) {
+    console.error(`❌ Push failed for order ${orderNo}:`, err.message);
+    if (err.code === 'ECONNREFUSED') {
+      console.error('💡 Tally connection refused. Please check Tally is running on port 9000');
+    }
+    result = { created: 0, altered: 0, cancelled: 0, errors: 1, lineErrors: [err.message] };
+  }
+
+  const pushed = result.errors === 0 && (result.created > 0 || result.altered > 0 || result.cancelled > 0);
+  // A failed alter or cancel keeps its pending state, so the retry never creates a second voucher
+  let status;
+  if (pushed) {
+    status = action === 'Cancel' ? 'cancelled' : 'success';
+  } else {
+    status = action === 'Create' ? 'failed' : pushState;
+  }
+
+  // Push results live on the order header (schema owned by firebase-connector)
+  await pool.query(
+    `UPDATE order_header
+     SET tally_push_status = $1,
+         tally_created = $2,
+         tally_altered = $3,
+         tally_errors = $4,
+         tally_response = $5,
+         tally_pushed_at = NOW()
+     WHERE order_no = $6`,
+    [status, result.created, result.altered, result.errors, result.lineErrors.join('\n') || null, orderNo]
+  );
+
+  if (pushed) {
+    console.log(`✅ Order ${orderNo} pushed to Tally (created: ${result.created}, altered: ${result.altered}, cancelled: ${result.cancelled})`);
+  } else {
+    console.log(`❌ Tally rejected order ${orderNo} (${action}): ${result.lineErrors.join('; ') || 'no voucher changed'}`);
+  }
+
+  return { order_no: orderNo, action, pushed, status, ...result };
+}
+
+// 📤 PUSH EVERY APPROVED ORDER TALLY DOES NOT HAVE (OR HAS AN OLD VERSION OF) YET
+async function pushPendingOrdersToTally() {
+  // Drafts and pending orders stay in the portal; cancelled ones only go out to
+  // cancel a voucher that was pushed earlier
+  const pending = await pool.query(`
+    SELECT order_no FROM order_header
+    WHERE (status IN ('approved', 'dispatched', 'invoiced', 'closed')
+           AND (tally_push_status IS NULL OR tally_push_status IN ('failed', 'pending_alter')))
+       OR (status = 'cancelled' AND tally_push_status = 'pending_cancel')
+    ORDER BY order_no
+  `);
+
+  console.log(`📤 ${pending.rows.length} orders waiting to be pushed to Tally`);
+
+  const results = [];
+  for (const row of pending.rows) {
+    results.push(await pushOrderToTally(row.order_no));
+  }
+
+  const pushed = results.filter(result => result?.pushed).length;
+  console.log(`✅ Tally push: ${pushed} orders pushed, ${results.length - pushed} failed`);
+  return results;
+}
+
+// Main execution
+// ✅ CLOSING STOCK FROM TALLY
+const getStockAvailabilityXmlRequest = () => {
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <VERSION>1</VERSION>
+    <TALLYREQUEST>Export</TALLYREQUEST>
+    <TYPE>Collection</TYPE>
+    <ID>PortalStockAvailability</ID>
+  </HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(COMPANY_NAME)}</SVCURRENTCOMPANY>
+        <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+      </STATICVARIABLES>
+      <TDL>
+        <TDLMESSAGE>
+          <COLLECTION NAME="PortalStockAvailability" ISMODIFY="No">
+            <TYPE>StockItem</TYPE>
+            <NATIVEMETHOD>Name, MailingName, BaseUnits, ClosingBalance</NATIVEMETHOD>
+          </COLLECTION>
+        </TDLMESSAGE>
+      </TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+};
+
+// Closing stock broken down by godown: one Batch object per item, godown and batch,
+// PARENT being the stock item name
+const getGodownStockXmlRequest = () => {
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <VERSION>1</VERSION>
+    <TALLYREQUEST>Export</TALLYREQUEST>
+    <TYPE>Collection</TYPE>
+    <ID>PortalGodownStock</ID>
+  </HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(COMPANY_NAME)}</SVCURRENTCOMPANY>
+        <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+      </STATICVARIABLES>
+      <TDL>
+        <TDLMESSAGE>
+          <COLLECTION NAME="PortalGodownStock" ISMODIFY="No">
+            <TYPE>Batch</TYPE>
+            <NATIVEMETHOD>Parent, GodownName, ClosingBalance</NATIVEMETHOD>
+          </COLLECTION>
+        </TDLMESSAGE>
+      </TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+};
+
+async function ensureStockAvailabilityTable() {
+  await runSchemaStatements(pool, STOCK_AVAILABILITY_SCHEMA);
+}
+
+// Replaces the snapshot in one transaction; items no longer in Tally drop out
+async function pullStockAvailabilityFromTally() {
+  console.log('📥 Pulling closing stock from Tally...');
+
+  let response;
+  let godownResponse;
+  try {
+    response = await axios.post(TALLY_URL, getStockAvailabilityXmlRequest(), {
+      headers: { 'Content-Type': 'application/xml' },
+      timeout: 60000,
+    });
+    godownResponse = await axios.post(TALLY_URL, getGodownStockXmlRequest(), {
+      headers: { 'Content-Type': 'application/xml' },
+      timeout: 60000,
+    });
+  } catch (err) {
+    console.error('❌ Stock request failed:', err.message);
+    throw err;
+  }
+
+  const parsed = parseTallyStockAvailability(response.data, godownResponse.data);
+  if (parsed.length === 0) {
+    saveRawXml(response.data, 'stock-response');
+    throw new Error('No stock items found in the Tally response');
+  }
+  if (!parsed.some(row => row.godown !== '')) {
+    saveRawXml(godownResponse.data, 'godown-stock-response');
+    console.warn('⚠️ Tally returned no godown-wise balances, storing item totals only');
+  }
+
+  const summary = newSyncSummary('stock');
+  parsed
+    .filter(row => !row.item_code && row.godown === '')
+    .forEach(row => summary.skipped.push({ code: null, name: row.stock_item_name, reason: 'empty item_code' }));
+  const rows = parsed.filter(row => row.item_code);
+  if (rows.length === 0) {
+    throw new Error('No stock item in the Tally response has an item code, keeping the previous snapshot');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT item_code, godown, closing_qty FROM stock_availability');
+    const previous = new Map(existing.rows.map(row => [`${row.item_code}|${row.godown}`, Number(row.closing_qty)]));
+
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO stock_availability (item_code, godown, stock_item_name, closing_qty, uom, synced_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (item_code, godown) DO UPDATE SET
+           stock_item_name = EXCLUDED.stock_item_name,
+           closing_qty = EXCLUDED.closing_qty,
+           uom = EXCLUDED.uom,
+           synced_at = NOW()`,
+        [row.item_code, row.godown, row.stock_item_name, row.closing_qty, row.uom]
+      );
+
+      const key = `${row.item_code}|${row.godown}`;
+      const name = row.godown ? `${row.stock_item_name} @ ${row.godown}` : row.stock_item_name;
+      if (!previous.has(key)) {
+        summary.created.push({ code: row.item_code, name });
+      } else if (previous.get(key) !== row.closing_qty) {
+        summary.updated.push({
+          code: row.item_code,
+          name,
+          changes: { closing_qty: { from: previous.get(key), to: row.closing_qty } }
+        });
       } else {
-        console.error(
-          `❌ Error processing item ${item.stock_item_name}:`,
-          error.message
-        );
-        errorCount++;
+        summary.unchanged++;
       }
     }
+
+    await client.query(
+      `DELETE FROM stock_availability
+       WHERE NOT ((item_code, godown) IN (SELECT * FROM unnest($1::text[], $2::text[])))`,
+      [rows.map(row => row.item_code), rows.map(row => row.godown)]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
 
-  console.log(`✅ PostgreSQL: ${savedCount} new items added, ${duplicateCount} duplicates skipped, ${errorCount} errors`);
-  
-  // Log summary of skipped items
-  const skippedItems = items.filter(item => !item.item_code || item.item_code.trim() === '');
-  if (skippedItems.length > 0) {
-    console.log(`⏭️ Skipped ${skippedItems.length} items with empty item_code:`);
-    skippedItems.forEach(item => {
-      console.log(`   - ${item.stock_item_name}`);
+  const itemCount = rows.filter(row => row.godown === '').length;
+  console.log(`✅ Stock: ${itemCount} items, ${rows.length - itemCount} godown balances, ${summary.updated.length} quantities changed, ${summary.skipped.length} skipped without item_code`);
+  return { records: rows, summary };
+}
+
+// ✅ CREDIT LIMITS, OUTSTANDING AND OVERDUE BILLS (Sundry Debtors)
+const getDebtorCollectionXmlRequest = (collectionName, type, fields, filter) => {
+  return `<?xml version="1.0"?>
+<ENVELOPE>
+  <HEADER>
+    <VERSION>1</VERSION>
+    <TALLYREQUEST>Export</TALLYREQUEST>
+    <TYPE>Collection</TYPE>
+    <ID>${collectionName}</ID>
+  </HEADER>
+  <BODY>
+    <DESC>
+      <STATICVARIABLES>
+        <SVCURRENTCOMPANY>${escapeXml(COMPANY_NAME)}</SVCURRENTCOMPANY>
+        <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+      </STATICVARIABLES>
+      <TDL>
+        <TDLMESSAGE>
+          <COLLECTION NAME="${collectionName}" ISMODIFY="No">
+            <TYPE>${type}</TYPE>
+            <NATIVEMETHOD>${fields}</NATIVEMETHOD>
+            ${filter ? `<FILTER>${collectionName}Filter</FILTER>` : ''}
+          </COLLECTION>
+          ${filter ? `<SYSTEM TYPE="Formulae" NAME="${collectionName}Filter">${filter}</SYSTEM>` : ''}
+        </TDLMESSAGE>
+      </TDL>
+    </DESC>
+  </BODY>
+</ENVELOPE>`;
+};
+
+async function ensureCustomerCreditTable() {
+  await runSchemaStatements(pool, CUSTOMER_CREDIT_SCHEMA);
+}
+
+async function pullCustomerCreditFromTally() {
+  console.log('📥 Pulling credit limits and outstanding bills from Tally...');
+
+  const post = (xmlRequest) => axios.post(TALLY_URL, xmlRequest, {
+    headers: { 'Content-Type': 'application/xml' },
+    timeout: 60000,
+  });
+
+  let ledgerResponse;
+  let billResponse;
+  try {
+    ledgerResponse = await post(getDebtorCollectionXmlRequest(
+      'PortalDebtorCredit', 'Ledger',
+      'Name, Parent, LanguageName, CreditLimit, ClosingBalance',
+      '$Parent = "Sundry Debtors"'
+    ));
+    billResponse = await post(getDebtorCollectionXmlRequest(
+      'PortalDebtorBills', 'Bills',
+      'Name, Parent, BillDate, ClosingBalance, BillCreditPeriod'
+    ));
+  } catch (err) {
+    console.error('❌ Credit request failed:', err.message);
+    throw err;
+  }
+
+  const ledgers = parseTallyDebtorLedgers(ledgerResponse.data);
+  if (ledgers.size === 0) {
+    saveRawXml(ledgerResponse.data, 'credit-response');
+    throw new Error('No Sundry Debtor ledgers found in the Tally response');
+  }
+  for (const bill of parseTallyBills(billResponse.data)) {
+    ledgers.get(bill.ledger_name)?.bills.push(bill);
+  }
+
+  const summary = newSyncSummary('credit');
+  const today = new Date().toISOString().slice(0, 10);
+  const rows = [];
+  for (const ledger of ledgers.values()) {
+    if (!ledger.customer_code) {
+      summary.skipped.push({ code: null, name: ledger.ledger_name, reason: 'no customer code alias' });
+      continue;
+    }
+    const overdueBills = ledger.bills
+      .filter(bill => bill.due_date < today)
+      .map(bill => ({
+        ...bill,
+        days_overdue: Math.round((Date.parse(today) - Date.parse(bill.due_date)) / 86400000)
+      }));
+    rows.push({
+      ...ledger,
+      overdue_bills: overdueBills,
+      overdue_amount: Math.round(overdueBills.reduce((sum, bill) => sum + bill.amount, 0) * 100) / 100
     });
   }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT customer_code, credit_limit, outstanding, overdue_amount FROM customer_credit');
+    const previous = new Map(existing.rows.map(row => [row.customer_code, row]));
+
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO customer_credit (customer_code, ledger_name, credit_limit, outstanding, overdue_amount, overdue_bills, synced_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (customer_code) DO UPDATE SET
+           ledger_name = EXCLUDED.ledger_name,
+           credit_limit = EXCLUDED.credit_limit,
+           outstanding = EXCLUDED.outstanding,
+           overdue_amount = EXCLUDED.overdue_amount,
+           overdue_bills = EXCLUDED.overdue_bills,
+           synced_at = NOW()`,
+        [row.customer_code, row.ledger_name, row.credit_limit, row.outstanding, row.overdue_amount, JSON.stringify(row.overdue_bills)]
+      );
+
+      const before = previous.get(row.customer_code);
+      const changes = {};
+      for (const field of ['credit_limit', 'outstanding', 'overdue_amount']) {
+        if (before && Number(before[field]) !== row[field]) {
+          changes[field] = { from: Number(before[field]), to: row[field] };
+        }
+      }
+      if (!before) {
+        summary.created.push({ code: row.customer_code, name: row.ledger_name });
+      } else if (Object.keys(changes).length > 0) {
+        summary.updated.push({ code: row.customer_code, name: row.ledger_name, changes });
+      } else {
+        summary.unchanged++;
+      }
+    }
+
+    await client.query(
+      'DELETE FROM customer_credit WHERE NOT (customer_code = ANY($1::text[]))',
+      [rows.map(row => row.customer_code)]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`✅ Credit: ${rows.length} debtors, ${rows.filter(row => row.overdue_amount > 0).length} with overdue bills`);
+  return { records: rows, summary };
 }
 
-// Main execution
-async function main() {
-  console.log('🚀 Starting Tally to PostgreSQL sync for XML Demo Data...');
+// ✅ SYNC RUN HISTORY
+async function ensureSyncRunsTable() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sync_runs (
+      id SERIAL PRIMARY KEY,
+      job TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      full_sync BOOLEAN NOT NULL DEFAULT false,
+      status TEXT NOT NULL DEFAULT 'running',
+      started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMPTZ,
+      fetched_count INTEGER NOT NULL DEFAULT 0,
+      saved_count INTEGER NOT NULL DEFAULT 0,
+      created_count INTEGER NOT NULL DEFAULT 0,
+      updated_count INTEGER NOT NULL DEFAULT 0,
+      duplicate_count INTEGER NOT NULL DEFAULT 0,
+      skipped_count INTEGER NOT NULL DEFAULT 0,
+      error_count INTEGER NOT NULL DEFAULT 0,
+      error_message TEXT,
+      summary JSONB
+    )
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS sync_runs_job_started_idx ON sync_runs (job, started_at DESC)');
+
+  // A run still marked running was cut short by a restart
+  await pool.query(`
+    UPDATE sync_runs SET status = 'failed', finished_at = NOW(), error_message = 'Interrupted by service restart'
+    WHERE status = 'running'
+  `);
+}
+
+const SYNC_JOBS = {
+  customers: (options) => pullCustomersFromTally(options),
+  items: (options) => pullItemsFromTally(options),
+  stock: () => pullStockAvailabilityFromTally(),
+  credit: () => pullCustomerCreditFromTally(),
+  orders: async () => {
+    const results = (await pushPendingOrdersToTally()).filter(Boolean);
+    const pushed = results.filter(result => result.pushed);
+    return {
+      records: results,
+      summary: {
+        entity: 'orders',
+        created: pushed.filter(result => result.created > 0).map(result => ({ code: result.order_no })),
+        updated: pushed.filter(result => result.created === 0).map(result => ({ code: result.order_no, action: result.action })),
+        unchanged: 0,
+        skipped: [],
+        errors: results
+          .filter(result => !result.pushed)
+          .map(result => ({ code: result.order_no, error: result.lineErrors.join('; ') || 'no voucher changed' }))
+      }
+    };
+  }
+};
+
+// Jobs currently running in this process, so a manual trigger cannot overlap the schedule
+const activeRuns = new Map();
+
+function runCounts(outcome) {
+  const summary = outcome?.summary;
+  const created = summary?.created.length || 0;
+  const updated = summary?.updated.length || 0;
+  return {
+    fetched: outcome?.records?.length || 0,
+    saved: created + updated,
+    created,
+    updated,
+    duplicates: summary?.unchanged || 0,
+    skipped: summary?.skipped.length || 0,
+    errors: summary?.errors.length || 0
+  };
+}
+
+// Records the run in sync_runs, then runs the job. Resolves with the run id once the
+// row exists; `done` settles when the job finishes.
+async function startSyncRun(job, { trigger = 'manual', fullSync = false } = {}) {
+  if (!SYNC_JOBS[job]) {
+    const err = new Error(`Unknown sync job "${job}"`);
+    err.status = 404;
+    throw err;
+  }
+  if (activeRuns.has(job)) {
+    const err = new Error(`A ${job} sync is already running (run ${activeRuns.get(job)})`);
+    err.status = 409;
+    throw err;
+  }
+
+  const inserted = await pool.query(
+    'INSERT INTO sync_runs (job, trigger, full_sync) VALUES ($1, $2, $3) RETURNING id',
+    [job, trigger, fullSync]
+  );
+  const runId = inserted.rows[0].id;
+  activeRuns.set(job, runId);
+  console.log(`▶️ Sync run ${runId}: ${job} (${trigger}${fullSync ? ', full' : ''})`);
+
+  const done = (async () => {
+    try {
+      const outcome = await SYNC_JOBS[job]({ fullSync });
+      const counts = runCounts(outcome);
+      const status = counts.errors > 0 ? 'partial' : 'succeeded';
+      await pool.query(
+        `UPDATE sync_runs SET status = $2, finished_at = NOW(), fetched_count = $3, saved_count = $4,
+           created_count = $5, updated_count = $6, duplicate_count = $7, skipped_count = $8,
+           error_count = $9, summary = $10
+         WHERE id = $1`,
+        [runId, status, counts.fetched, counts.saved, counts.created, counts.updated,
+          counts.duplicates, counts.skipped, counts.errors, JSON.stringify(outcome?.summary ?? null)]
+      );
+      console.log(`⏹️ Sync run ${runId}: ${job} ${status}`);
+      return { runId, job, status, counts };
+    } catch (err) {
+      console.error(`❌ Sync run ${runId}: ${job} failed:`, err.message);
+      await pool.query(
+        `UPDATE sync_runs SET status = 'failed', finished_at = NOW(), error_message = $2 WHERE id = $1`,
+        [runId, err.message]
+      ).catch(updateErr => console.error('❌ Failed to record sync failure:', updateErr.message));
+      return { runId, job, status: 'failed', error: err.message };
+    } finally {
+      activeRuns.delete(job);
+    }
+  })();
+
+  return { runId, done };
+}
+
+// Customers and items first so stock, credit and pushed orders reference masters that exist
+async function runAllSyncJobs(options) {
+  const results = [];
+  for (const job of Object.keys(SYNC_JOBS)) {
+    try {
+      const { done } = await startSyncRun(job, options);
+      results.push(await done);
+    } catch (err) {
+      console.error(`⏭️ Skipping ${job} sync:`, err.message);
+      results.push({ job, status: 'skipped', error: err.message });
+    }
+  }
+  return results;
+}
+
+// ✅ SYNC SERVICE: SCHEDULE + HTTP TRIGGERS
+const SYNC_INTERVAL_MINUTES = Number(process.env.SYNC_INTERVAL_MINUTES ?? 15);
+const SYNC_API_KEY = process.env.SYNC_API_KEY || null;
+let nextScheduledRunAt = null;
+
+function scheduleNextSync() {
+  if (!(SYNC_INTERVAL_MINUTES > 0)) return;
+  const delay = SYNC_INTERVAL_MINUTES * 60 * 1000;
+  nextScheduledRunAt = new Date(Date.now() + delay);
+  setTimeout(async () => {
+    nextScheduledRunAt = null;
+    await runAllSyncJobs({ trigger: 'schedule' });
+    scheduleNextSync();
+  }, delay);
+}
+
+// Shared secret: X-Sync-Key header or "Authorization: Bearer <key>". Without one the
+// service only listens on 127.0.0.1, so the open endpoints are reachable from this machine only.
+// Constant-time compare, so response timing says nothing about the key
+const syncKeyMatches = (sent) => {
+  if (!sent) return false;
+  const expected = Buffer.from(SYNC_API_KEY);
+  const given = Buffer.from(String(sent));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const requireSyncKey = (req, res, next) => {
+  if (!SYNC_API_KEY) return next();
+  const bearer = req.headers.authorization?.startsWith('Bearer ')
+    ? req.headers.authorization.slice(7)
+    : null;
+  if (syncKeyMatches(req.headers['x-sync-key']) || syncKeyMatches(bearer)) return next();
+  res.status(401).json({ error: 'Invalid or missing sync key' });
+};
+
+const isFullSyncRequest = (req) => req.query.full === 'true' || req.body?.full === true;
+
+app.use(express.json());
+app.use('/sync', requireSyncKey);
+
+// Trigger every job in order; returns immediately, follow progress via /sync/runs
+app.post('/sync', (req, res) => {
+  const running = [...activeRuns.keys()];
+  if (running.length > 0) {
+    return res.status(409).json({ error: `Sync already running: ${running.join(', ')}` });
+  }
+  runAllSyncJobs({ trigger: 'manual', fullSync: isFullSyncRequest(req) });
+  res.status(202).json({ message: 'Sync started', jobs: Object.keys(SYNC_JOBS) });
+});
+
+app.post('/sync/:job', async (req, res) => {
+  try {
+    const { runId } = await startSyncRun(req.params.job, {
+      trigger: 'manual',
+      fullSync: isFullSyncRequest(req)
+    });
+    res.status(202).json({ message: `${req.params.job} sync started`, run_id: runId });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/sync/status', async (req, res) => {
+  try {
+    const lastRuns = await pool.query(`
+      SELECT DISTINCT ON (job) * FROM sync_runs
+      ORDER BY job, started_at DESC
+    `);
+    const watermarks = await pool.query(
+      'SELECT collection, last_alter_id, last_synced_at, last_full_sync_at, last_record_count FROM tally_sync_state WHERE company = $1',
+      [COMPANY_NAME]
+    );
+
+    const jobs = Object.keys(SYNC_JOBS).map(job => ({
+      job,
+      running: activeRuns.has(job),
+      running_run_id: activeRuns.get(job) ?? null,
+      last_run: lastRuns.rows.find(row => row.job === job) || null,
+      watermark: watermarks.rows.find(row => row.collection === job) || null
+    }));
+
+    res.json({
+      company: COMPANY_NAME,
+      interval_minutes: SYNC_INTERVAL_MINUTES > 0 ? SYNC_INTERVAL_MINUTES : null,
+      next_scheduled_run_at: nextScheduledRunAt,
+      jobs
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/sync/runs', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const conditions = [];
+  const params = [];
+
+  if (req.query.job) {
+    params.push(req.query.job);
+    conditions.push(`job = $${params.length}`);
+  }
+  if (req.query.status) {
+    params.push(req.query.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
   try {
-    // Pull customers
-    const customers = await pullCustomersFromTally();
-    console.log(`📊 Final result: ${customers.length} customers processed`);
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT id, job, trigger, full_sync, status, started_at, finished_at, fetched_count, saved_count,
+              created_count, updated_count, duplicate_count, skipped_count, error_count, error_message
+       FROM sync_runs ${where}
+       ORDER BY started_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Pull items
-    const items = await pullItemsFromTally();
-    console.log(`📦 Final result: ${items.length} items processed`);
+// Includes the per-record change summary
+app.get('/sync/runs/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM sync_runs WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// `node tally-connector.js --once [--full]` keeps the old one-shot behaviour for cron
+async function main() {
+  console.log('🚀 Starting Tally to PostgreSQL sync for XML Demo Data...');
 
+  // `--full` (or TALLY_FULL_SYNC=true) ignores the ALTERID watermarks and
+  // re-exports every master, e.g. after restoring the Tally company
+  const fullSync = process.argv.includes('--full') || process.env.TALLY_FULL_SYNC === 'true';
+  if (fullSync) console.log('📚 Full resync requested');
+
+  try {
+    await ensureSyncStateTable();
+    await ensureSyncRunsTable();
+    await ensureStockAvailabilityTable();
+    await ensurePriceLevelTables();
+    await ensureCustomerCreditTable();
+    await ensureWebhookTables();
+
+    const results = await runAllSyncJobs({ trigger: 'cli', fullSync });
+    results.forEach(result => {
+      console.log(`📊 ${result.job}: ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+    });
+    if (results.some(result => result.status === 'failed')) process.exitCode = 1;
   } catch (error) {
     console.error('❌ Sync failed:', error.message);
+    process.exitCode = 1;
   }
 
   // Close PostgreSQL pool
@@ -1004,5 +2106,34 @@ async function main() {
   console.log('✅ Process completed');
 }
 
+async function startService() {
+  await ensureSyncStateTable();
+  await ensureSyncRunsTable();
+  await ensureStockAvailabilityTable();
+  await ensurePriceLevelTables();
+  await ensureCustomerCreditTable();
+  await ensureWebhookTables();
+
+  const host = SYNC_API_KEY ? process.env.SYNC_HOST : '127.0.0.1';
+  app.listen(port, host, () => {
+    console.log(`🚀 Tally sync service running on ${host || 'all interfaces'}, port ${port}`);
+    console.log(SYNC_INTERVAL_MINUTES > 0
+      ? `⏱️ Syncing every ${SYNC_INTERVAL_MINUTES} minutes`
+      : '⏱️ Scheduled sync disabled (SYNC_INTERVAL_MINUTES=0)');
+    if (!SYNC_API_KEY) console.warn('⚠️ SYNC_API_KEY is not set, listening on 127.0.0.1 only');
+  });
+
+  if (SYNC_INTERVAL_MINUTES > 0) {
+    runAllSyncJobs({ trigger: 'startup' }).finally(scheduleNextSync);
+  }
+}
+
 // Start the process
-main().catch(console.error);
\ No newline at end of file
+if (process.argv.includes('--once')) {
+  main().catch(console.error);
+} else {
+  startService().catch(err => {
+    console.error('❌ Failed to start sync service:', err.message);
+    process.exit(1);
+  });
+}
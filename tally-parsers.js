@@ -0,0 +1,280 @@
+// ✅ TALLY RESPONSE PARSERS
+// Pure functions over the XML Tally sends back: no database, no HTTP, no files. The sync
+// service (tally-connector.js) fetches and stores; everything it reads goes through here.
+
+// ✅ XML VALUES
+export function unescapeXml(value) {
+  return String(value ?? '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// 20240401 -> 2024-04-01
+export function fromTallyDate(value) {
+  const match = String(value ?? '').trim().match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+export function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// " -12.50 Nos" -> { qty: -12.5, unit: 'Nos' }
+export function parseTallyQuantity(value) {
+  const match = String(value ?? '').trim().match(/^(-?[\d,]*\.?\d+)\s*(.*)$/);
+  if (!match) return { qty: 0, unit: null };
+  return { qty: parseFloat(match[1].replace(/,/g, '')), unit: match[2].trim() || null };
+}
+
+// "150.00/Nos" -> 150
+export function parseTallyRate(value) {
+  const number = parseFloat(String(value ?? '').split('/')[0].replace(/[^0-9.\-]/g, ''));
+  return Number.isNaN(number) ? null : number;
+}
+
+// Tally exports debit balances as negative numbers
+export function parseTallyAmount(value) {
+  const number = parseFloat(String(value ?? '').replace(/[^0-9.\-]/g, ''));
+  return Number.isNaN(number) ? 0 : number;
+}
+
+// ✅ INCREMENTAL SYNC
+// Highest ALTERID anywhere in a response, including masters the parsers skip
+export function maxAlterId(xmlData) {
+  let max = 0;
+  for (const match of String(xmlData || '').matchAll(/<ALTERID[^>]*>\s*(\d+)\s*<\/ALTERID>/g)) {
+    max = Math.max(max, parseInt(match[1], 10));
+  }
+  return max;
+}
+
+const NUMERIC_SYNC_FIELDS = ['gst', 'rate'];
+
+function normalizeSyncValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (NUMERIC_SYNC_FIELDS.includes(field)) {
+    const number = parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+    return Number.isNaN(number) ? null : number;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// Field-level diff between the row in PostgreSQL and the record parsed from Tally.
+// A field the parser did not produce (undefined) or left blank is not a change:
+// one parser does not read HSN, and a failed extraction must not wipe data.
+export function diffSyncRecord(existing, incoming, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const next = normalizeSyncValue(field, incoming[field]);
+    if (next === null) continue;
+    const current = normalizeSyncValue(field, existing[field]);
+    if (current !== next) {
+      changes[field] = { from: existing[field] ?? null, to: next };
+    }
+  }
+  return changes;
+}
+
+// ✅ SALES ORDER IMPORT RESPONSE
+// Read CREATED / ALTERED / CANCELLED / ERRORS counters out of a Tally import response
+export function parseTallyImportResponse(xmlData) {
+  const text = typeof xmlData === 'string' ? xmlData : String(xmlData ?? '');
+  const readCount = (tag) => {
+    const match = text.match(new RegExp(`<${tag}>\\s*(-?\\d+)\\s*</${tag}>`));
+    return match ? parseInt(match[1], 10) : 0;
+  };
+  const lineErrors = [...text.matchAll(/<LINEERROR>([\s\S]*?)<\/LINEERROR>/g)]
+    .map(match => match[1].trim())
+    .filter(Boolean);
+
+  return {
+    created: readCount('CREATED'),
+    altered: readCount('ALTERED'),
+    cancelled: readCount('CANCELLED'),
+    errors: readCount('ERRORS') + readCount('EXCEPTIONS'),
+    lineErrors,
+  };
+}
+
+// ✅ PRICE LEVELS (FULLPRICELIST.LIST on each stock item)
+// One row per price level slab. Every coded item in the response is returned in
+// itemCodes, so an item whose price list was emptied in Tally gets cleared too.
+export function parseTallyPriceLists(xmlData) {
+  const rows = [];
+  const itemCodes = new Set();
+  const tag = (xml, name) => xml.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`))?.[1]?.trim() ?? null;
+
+  for (const match of String(xmlData || '').matchAll(/<STOCKITEM\b[\s\S]*?<\/STOCKITEM>/g)) {
+    const itemXml = match[0];
+    const itemCode = itemXml.match(/<MAILINGNAME\.LIST[\s\S]*?<MAILINGNAME>(.*?)<\/MAILINGNAME>/)?.[1]?.trim()
+      || tag(itemXml, 'MAILINGNAME');
+    if (!itemCode) continue;
+    itemCodes.add(itemCode);
+
+    for (const listMatch of itemXml.matchAll(/<FULLPRICELIST\.LIST>([\s\S]*?)<\/FULLPRICELIST\.LIST>/g)) {
+      const listXml = listMatch[1];
+      const priceLevel = tag(listXml, 'PRICELEVEL');
+      const listDate = fromTallyDate(tag(listXml, 'DATE'));
+      if (!priceLevel) continue;
+
+      for (const slabMatch of listXml.matchAll(/<PRICELEVELLIST\.LIST>([\s\S]*?)<\/PRICELEVELLIST\.LIST>/g)) {
+        const slabXml = slabMatch[1];
+        const rate = parseTallyRate(tag(slabXml, 'RATE'));
+        if (rate === null) continue;
+
+        const slabTo = parseTallyQuantity(tag(slabXml, 'ENDINGAT')).qty;
+        rows.push({
+          item_code: itemCode,
+          price_level: priceLevel,
+          effective_date: fromTallyDate(tag(slabXml, 'DATE')) || listDate || '1900-01-01',
+          slab_from: parseTallyQuantity(tag(slabXml, 'STARTINGFROM')).qty || 0,
+          slab_to: slabTo > 0 ? slabTo : null,
+          rate,
+          discount: parseFloat(String(tag(slabXml, 'DISCOUNT') ?? '').replace(/[^0-9.]/g, '')) || 0
+        });
+      }
+    }
+  }
+
+  return { rows, itemCodes: [...itemCodes] };
+}
+
+// ✅ CLOSING STOCK
+// Batches of one item in the same godown are added up: Map "item name" -> Map godown -> { qty, unit }
+export function parseTallyGodownStock(xmlData) {
+  const byItem = new Map();
+  for (const match of String(xmlData || '').matchAll(/<BATCH\b[^>]*>([\s\S]*?)<\/BATCH>/g)) {
+    const batchXml = match[1];
+    const itemName = unescapeXml(batchXml.match(/<PARENT[^>]*>(.*?)<\/PARENT>/)?.[1]).trim();
+    const godown = unescapeXml(batchXml.match(/<GODOWNNAME[^>]*>(.*?)<\/GODOWNNAME>/)?.[1]).trim();
+    if (!itemName || !godown) continue;
+
+    const { qty, unit } = parseTallyQuantity(batchXml.match(/<CLOSINGBALANCE[^>]*>(.*?)<\/CLOSINGBALANCE>/)?.[1]);
+    if (!byItem.has(itemName)) byItem.set(itemName, new Map());
+    const godowns = byItem.get(itemName);
+    const entry = godowns.get(godown) || { qty: 0, unit: null };
+    godowns.set(godown, { qty: Math.round((entry.qty + qty) * 1000) / 1000, unit: entry.unit || unit });
+  }
+  return byItem;
+}
+
+// Regex based like the alternative parsers: the item code lives in MAILINGNAME.
+// Every item gets its total under godown '' plus one row per godown holding it.
+export function parseTallyStockAvailability(xmlData, godownXml) {
+  const godownStock = parseTallyGodownStock(godownXml);
+  const rows = [];
+  for (const match of String(xmlData || '').matchAll(/<STOCKITEM\b([^>]*)>([\s\S]*?)<\/STOCKITEM>/g)) {
+    const [, attributes, itemXml] = match;
+    const name = attributes.match(/NAME="([^"]*)"/)?.[1] || itemXml.match(/<NAME>(.*?)<\/NAME>/)?.[1] || null;
+    const itemCode = unescapeXml(itemXml.match(/<MAILINGNAME[^>]*>(.*?)<\/MAILINGNAME>/)?.[1]).trim() || null;
+    const closing = itemXml.match(/<CLOSINGBALANCE[^>]*>(.*?)<\/CLOSINGBALANCE>/)?.[1];
+    const baseUnit = unescapeXml(itemXml.match(/<BASEUNITS[^>]*>(.*?)<\/BASEUNITS>/)?.[1]).trim() || null;
+    const { qty, unit } = parseTallyQuantity(closing);
+    const stockItemName = name ? unescapeXml(name).trim() : null;
+
+    rows.push({
+      item_code: itemCode,
+      stock_item_name: stockItemName,
+      godown: '',
+      closing_qty: qty,
+      uom: unit || baseUnit
+    });
+
+    for (const [godown, balance] of godownStock.get(stockItemName) || []) {
+      rows.push({
+        item_code: itemCode,
+        stock_item_name: stockItemName,
+        godown,
+        closing_qty: balance.qty,
+        uom: balance.unit || unit || baseUnit
+      });
+    }
+  }
+  return rows;
+}
+
+// ✅ CREDIT LIMITS AND OUTSTANDING BILLS
+const DEFAULT_CREDIT_DAYS = Number(process.env.DEFAULT_CREDIT_DAYS || 30);
+const MONTH_NUMBERS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+// BILLCREDITPERIOD comes as "30 Days", a bare "30", a due date "20250415" or a display
+// date "15-Apr-2025". Anything else gives null and the caller falls back to the default.
+export function creditPeriodDueDate(billDate, creditPeriod) {
+  const value = unescapeXml(creditPeriod).trim();
+  const days = value.match(/^(\d+)(?:\s*Days?)?$/i);
+  if (days && !/^\d{8}$/.test(value)) return addDays(billDate, parseInt(days[1], 10));
+
+  const isoDate = fromTallyDate(value);
+  if (isoDate) return isoDate;
+
+  const displayDate = value.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{2}|\d{4})$/);
+  const month = displayDate && MONTH_NUMBERS[displayDate[2].toLowerCase()];
+  if (month) {
+    const year = displayDate[3].length === 2 ? `20${displayDate[3]}` : displayDate[3];
+    return `${year}-${String(month).padStart(2, '0')}-${displayDate[1].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+// Ledger name -> { customer_code, credit_limit, outstanding }. The second NAME is the
+// alias that holds the customer code, as in parseTallyCustomersAlternative.
+export function parseTallyDebtorLedgers(xmlData) {
+  const ledgers = new Map();
+  for (const match of String(xmlData || '').matchAll(/<LEDGER\b([^>]*)>([\s\S]*?)<\/LEDGER>/g)) {
+    const [, attributes, ledgerXml] = match;
+    const names = [...ledgerXml.matchAll(/<NAME>(.*?)<\/NAME>/g)].map(nameMatch => unescapeXml(nameMatch[1]).trim());
+    const ledgerName = unescapeXml(attributes.match(/NAME="([^"]*)"/)?.[1] || names[0] || '').trim();
+    const customerCode = names.find((name, index) => index > 0 && name !== ledgerName) || null;
+    if (!ledgerName) continue;
+
+    ledgers.set(ledgerName, {
+      ledger_name: ledgerName,
+      customer_code: customerCode,
+      credit_limit: Math.abs(parseTallyAmount(ledgerXml.match(/<CREDITLIMIT[^>]*>(.*?)<\/CREDITLIMIT>/)?.[1])),
+      outstanding: -parseTallyAmount(ledgerXml.match(/<CLOSINGBALANCE[^>]*>(.*?)<\/CLOSINGBALANCE>/)?.[1]),
+      bills: []
+    });
+  }
+  return ledgers;
+}
+
+// Pending bills with their due date; "30 Days" credit periods count from the bill date.
+// Bills without a credit period, or one not understood, get DEFAULT_CREDIT_DAYS; the latter are logged.
+export function parseTallyBills(xmlData) {
+  const bills = [];
+  const unparsed = new Map();
+  for (const match of String(xmlData || '').matchAll(/<BILL\b([^>]*)>([\s\S]*?)<\/BILL>/g)) {
+    const [, attributes, billXml] = match;
+    const billDate = fromTallyDate(billXml.match(/<BILLDATE[^>]*>(.*?)<\/BILLDATE>/)?.[1]);
+    const amount = -parseTallyAmount(billXml.match(/<CLOSINGBALANCE[^>]*>(.*?)<\/CLOSINGBALANCE>/)?.[1]);
+    const creditPeriod = billXml.match(/<BILLCREDITPERIOD[^>]*>(.*?)<\/BILLCREDITPERIOD>/)?.[1] || '';
+    if (!billDate || amount <= 0) continue;
+
+    // No credit period on the bill means the default terms
+    let dueDate = creditPeriod.trim() ? creditPeriodDueDate(billDate, creditPeriod) : null;
+    if (!dueDate) {
+      dueDate = addDays(billDate, DEFAULT_CREDIT_DAYS);
+      if (creditPeriod.trim()) unparsed.set(creditPeriod.trim(), (unparsed.get(creditPeriod.trim()) || 0) + 1);
+    }
+
+    bills.push({
+      bill_ref: unescapeXml(attributes.match(/NAME="([^"]*)"/)?.[1] || billXml.match(/<NAME>(.*?)<\/NAME>/)?.[1] || '').trim(),
+      ledger_name: unescapeXml(billXml.match(/<PARENT>(.*?)<\/PARENT>/)?.[1] || '').trim(),
+      bill_date: billDate,
+      due_date: dueDate,
+      amount
+    });
+  }
+
+  if (unparsed.size > 0) {
+    const summary = [...unparsed].map(([value, count]) => `"${value}" x${count}`).join(', ');
+    console.warn(`⚠️ Credit period not understood, assumed ${DEFAULT_CREDIT_DAYS} days: ${summary}`);
+  }
+  return bills;
+}
@@ -0,0 +1,17 @@
+// ✅ GST RATES
+// Slabs a stock item or order line may carry. Since 22 September 2025 the 12% and 28%
+// slabs are gone (goods moved to 5%, 18% or the new 40%); the fractional ones are the
+// special rates for precious stones, metals and rough diamonds.
+// GST_SLABS="0,5,18,40" replaces the list when the rates change again.
+const DEFAULT_GST_SLABS = [0, 0.1, 0.25, 1.5, 3, 5, 18, 40];
+
+export const parseGstSlabs = (value) => {
+  if (!value) return DEFAULT_GST_SLABS;
+  const slabs = value.split(',').map(entry => entry.trim()).filter(Boolean).map(Number);
+  if (slabs.length === 0 || slabs.some(slab => !Number.isFinite(slab) || slab < 0 || slab > 100)) {
+    throw new Error(`GST_SLABS must be a comma separated list of rates between 0 and 100, got "${value}"`);
+  }
+  return [...new Set(slabs)].sort((a, b) => a - b);
+};
+
+export const GST_SLABS = parseGstSlabs(process.env.GST_SLABS);
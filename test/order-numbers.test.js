@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ORDER_SERIES,
+  businessDateParts,
+  orderNumberPeriod,
+  formatOrderNumber,
+  parseOrderNumber,
+  highestSequences,
+  seedOrderNumberCounters,
+  allocateOrderNumber,
+  previewOrderNumber,
+} from '../order-numbers.js';
+
+const FY_SERIES = { prefix: 'QT', reset_policy: 'financial_year', padding: 5 };
+
+// order_number_series and order_number_counters held in memory
+const fakeCounterDb = ({ series = [DEFAULT_ORDER_SERIES], counters = {}, orders = [] } = {}) => {
+  const db = {
+    counters: { ...counters },
+    scannedOrders: 0,
+    query: async (sql, params = []) => {
+      if (sql.includes('FROM order_number_series WHERE voucher_type')) {
+        return { rows: series.filter(entry => (entry.voucher_type || 'Sales Order') === params[0]) };
+      }
+      if (sql.includes('FROM order_number_series')) return { rows: series };
+      if (sql.includes('FROM order_header')) {
+        db.scannedOrders += 1;
+        return { rows: orders.map(order_no => ({ order_no })) };
+      }
+      if (sql.includes('SELECT 1 FROM order_number_counters')) {
+        return { rows: Object.keys(db.counters).length > 0 ? [{ '?column?': 1 }] : [] };
+      }
+      if (sql.includes('SELECT last_value FROM order_number_counters')) {
+        const value = db.counters[`${params[0]}|${params[1]}`];
+        return { rows: value === undefined ? [] : [{ last_value: value }] };
+      }
+      if (sql.includes('INSERT INTO order_number_counters') && sql.includes('GREATEST')) {
+        const key = `${params[0]}|${params[1]}`;
+        db.counters[key] = Math.max(db.counters[key] ?? 0, params[2]);
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO order_number_counters')) {
+        const key = `${params[0]}|${params[1]}`;
+        db.counters[key] = (db.counters[key] ?? 0) + 1;
+        return { rows: [{ last_value: db.counters[key] }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+  return db;
+};
+
+const todayKey = () => {
+  const { day, month, year } = businessDateParts();
+  return { day, month, year, iso: `${year}-${month}-${day}`, short: `${day}-${month}-${year.slice(-2)}` };
+};
+
+test('business date parts follow the business timezone, not UTC', () => {
+  // 20:00 UTC on 31 March is already 1 April in India
+  assert.deepEqual(businessDateParts(new Date('2025-03-31T20:00:00Z')), { day: '01', month: '04', year: '2025' });
+});
+
+test('daily series use the date as period, financial year series run April to March', () => {
+  assert.equal(orderNumberPeriod(DEFAULT_ORDER_SERIES, { day: '05', month: '01', year: '2026' }).key, '2026-01-05');
+  assert.deepEqual(orderNumberPeriod(FY_SERIES, { day: '05', month: '01', year: '2026' }), {
+    key: 'FY2025-26', from: '2025-04-01', to: '2026-03-31',
+  });
+  assert.equal(orderNumberPeriod(FY_SERIES, { day: '01', month: '04', year: '2026' }).key, 'FY2026-27');
+});
+
+test('order numbers are padded to the series width', () => {
+  const date = { day: '07', month: '11', year: '2025' };
+  assert.equal(formatOrderNumber(DEFAULT_ORDER_SERIES, date, 42), 'SQ-07-11-25-0042');
+  assert.equal(formatOrderNumber(FY_SERIES, date, 3), 'QT-07-11-25-00003');
+  assert.equal(formatOrderNumber(DEFAULT_ORDER_SERIES, date, 12345), 'SQ-07-11-25-12345');
+});
+
+test('parseOrderNumber rejects impossible dates and sequences the counter cannot hold', () => {
+  assert.deepEqual(parseOrderNumber(' SQ-29-02-24-0007 '), { prefix: 'SQ', day: '29', month: '02', year: '2024', sequence: 7 });
+  assert.equal(parseOrderNumber('SQ-29-02-25-0001'), null);
+  assert.equal(parseOrderNumber('SQ-31-13-25-0001'), null);
+  assert.equal(parseOrderNumber('SQ-00-01-25-0001'), null);
+  assert.equal(parseOrderNumber('SQ-01-01-25-0000'), null);
+  assert.equal(parseOrderNumber('SQ-01-01-25-2147483648'), null);
+  assert.equal(parseOrderNumber('SQ-01-01-25-2147483647').sequence, 2147483647);
+  assert.equal(parseOrderNumber('ORD-1234'), null);
+  assert.equal(parseOrderNumber(null), null);
+});
+
+test('highestSequences keeps the top sequence per prefix and period and counts the rest as skipped', () => {
+  const { counters, skipped } = highestSequences(
+    ['SQ-01-05-25-0003', 'SQ-01-05-25-0010', 'SQ-02-05-25-0001', 'QT-01-05-25-00004', 'QT-01-03-26-00009',
+      'XX-01-05-25-0001', 'SQ-31-02-25-0005', 'legacy-17'],
+    [DEFAULT_ORDER_SERIES, FY_SERIES]
+  );
+  assert.deepEqual(counters, [
+    { prefix: 'SQ', period_key: '2025-05-01', last_value: 10 },
+    { prefix: 'SQ', period_key: '2025-05-02', last_value: 1 },
+    { prefix: 'QT', period_key: 'FY2025-26', last_value: 9 },
+  ]);
+  assert.equal(skipped, 3);
+});
+
+test('seeding fills an empty counter table from the stored orders', async () => {
+  const { short, iso } = todayKey();
+  const db = fakeCounterDb({ orders: [`SQ-${short}-0004`, `SQ-${short}-0009`, 'SQ-99-99-99-0001'] });
+
+  assert.deepEqual(await seedOrderNumberCounters(db), { seeded: 1, skipped: 1 });
+  assert.equal(db.counters[`SQ|${iso}`], 9);
+  assert.equal(await allocateOrderNumber(db, 'Sales Order'), `SQ-${short}-0010`);
+});
+
+test('seeding leaves existing counters alone and never scans the orders again', async () => {
+  const db = fakeCounterDb({ counters: { 'SQ|2025-05-01': 3 }, orders: ['SQ-01-05-25-0050'] });
+
+  assert.deepEqual(await seedOrderNumberCounters(db), { seeded: 0, skipped: 0 });
+  assert.equal(db.counters['SQ|2025-05-01'], 3);
+  assert.equal(db.scannedOrders, 0);
+});
+
+test('the allocator only reads the counter row and hands out consecutive numbers', async () => {
+  const { short, iso } = todayKey();
+  const db = fakeCounterDb({ counters: { [`SQ|${iso}`]: 41 }, orders: ['garbage'] });
+
+  assert.equal(await allocateOrderNumber(db), `SQ-${short}-0042`);
+  assert.equal(await allocateOrderNumber(db, 'Sales Order'), `SQ-${short}-0043`);
+  assert.equal(db.scannedOrders, 0);
+});
+
+test('a voucher type without a series falls back to the default one', async () => {
+  const { short } = todayKey();
+  const db = fakeCounterDb({ series: [] });
+  assert.equal(await allocateOrderNumber(db, 'Quotation'), `SQ-${short}-0001`);
+});
+
+test('the preview shows the next number without reserving it', async () => {
+  const { short, iso } = todayKey();
+  const db = fakeCounterDb({ counters: { [`SQ|${iso}`]: 7 } });
+
+  assert.equal(await previewOrderNumber(db), `SQ-${short}-0008`);
+  assert.equal(await previewOrderNumber(db), `SQ-${short}-0008`);
+  assert.equal(db.counters[`SQ|${iso}`], 7);
+  assert.equal(await previewOrderNumber(fakeCounterDb()), `SQ-${short}-0001`);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toNumber,
+  isInterStateSupply,
+  calculateOrderLine,
+  calculateOrderTotals,
+  repriceOrder,
+  findPricingMismatches,
+} from '../order-pricing.js';
+
+test('toNumber reads formatted amounts and falls back to 0', () => {
+  assert.equal(toNumber('1,234.50'), 1234.5);
+  assert.equal(toNumber('₹ -12.5'), -12.5);
+  assert.equal(toNumber(null), 0);
+  assert.equal(toNumber('n/a'), 0);
+});
+
+test('supply is inter-state only for a known state other than the company state', () => {
+  assert.equal(isInterStateSupply('Tamil Nadu'), false);
+  assert.equal(isInterStateSupply('tamil-nadu'), false);
+  assert.equal(isInterStateSupply(''), false);
+  assert.equal(isInterStateSupply('Not Applicable'), false);
+  assert.equal(isInterStateSupply('Karnataka'), true);
+});
+
+test('a line takes the discount, then the special discount, then tax', () => {
+  const line = calculateOrderLine(
+    { quantity: '10', rate: '100', disc_percentage: '10', spl_disc_percentage: '5' },
+    18,
+    false
+  );
+  assert.deepEqual(line, {
+    gst: 18,
+    amount: 1000,
+    disc_amount: 100,
+    spl_disc_amount: 45,
+    gross_amount: 855,
+    net_rate: 85.5,
+    cgst: 76.95,
+    sgst: 76.95,
+    igst: 0,
+  });
+});
+
+test('an inter-state line carries IGST only', () => {
+  const line = calculateOrderLine({ quantity: 3, rate: 33.33 }, 5, true);
+  assert.equal(line.gross_amount, 99.99);
+  assert.equal(line.cgst, 0);
+  assert.equal(line.sgst, 0);
+  assert.equal(line.igst, 5);
+});
+
+test('a zero quantity line has a zero net rate', () => {
+  assert.equal(calculateOrderLine({ quantity: 0, rate: 50 }, 18, false).net_rate, 0);
+});
+
+test('totals add up the priced lines', () => {
+  const totals = calculateOrderTotals([
+    { quantity: 1.5, gross_amount: 100, cgst: 9, sgst: 9, igst: 0 },
+    { quantity: '2.25', gross_amount: '50.55', cgst: '4.55', sgst: '4.55', igst: 0 },
+  ]);
+  assert.deepEqual(totals, {
+    total_quantity: 3.75,
+    total_amount_without_tax: 150.55,
+    total_cgst_amount: 13.55,
+    total_sgst_amount: 13.55,
+    total_igst_amount: 0,
+    total_amount: 177.65,
+  });
+});
+
+// Answers the two SELECTs repriceOrder runs and records every UPDATE
+const fakeOrderClient = ({ state, lines }) => {
+  const updates = [];
+  return {
+    updates,
+    query: async (sql, params) => {
+      if (sql.includes('FROM order_header h')) return { rows: [{ customer_code: 'C1', state }] };
+      if (sql.includes('FROM order_line l')) return { rows: lines };
+      updates.push({ sql, params });
+      return { rows: [], rowCount: 1 };
+    },
+  };
+};
+
+test('repriceOrder uses the item master GST and rewrites lines and totals', async () => {
+  const client = fakeOrderClient({
+    state: 'Kerala',
+    lines: [
+      { id: 1, item_code: 'A1', quantity: '2', rate: '100', gst: '12', master_gst: '18' },
+      { id: 2, item_code: 'B2', quantity: '1', rate: '50', gst: '5', master_gst: null },
+    ],
+  });
+
+  const pricing = await repriceOrder(client, 'SQ-01-04-25-0001');
+
+  assert.equal(pricing.supply, 'inter-state');
+  assert.equal(pricing.lines[0].gst, 18);
+  assert.equal(pricing.lines[0].igst, 36);
+  assert.equal(pricing.lines[1].gst, 5);
+  assert.deepEqual(pricing.warnings, ['Item B2 has no GST in stock_item, used 5%']);
+  assert.equal(pricing.totals.total_amount, 288.5);
+
+  const lineUpdates = client.updates.filter(update => update.sql.includes('UPDATE order_line'));
+  const headerUpdate = client.updates.find(update => update.sql.includes('UPDATE order_header'));
+  assert.equal(lineUpdates.length, 2);
+  assert.deepEqual(lineUpdates[0].params.slice(-1), [1]);
+  assert.deepEqual(headerUpdate.params.slice(-2), [288.5, 'SQ-01-04-25-0001']);
+});
+
+test('mismatches list the fields the client got wrong, within a paisa of tolerance', () => {
+  const pricing = {
+    lines: [{ id: 7, item_code: 'A1', gross_amount: 855, cgst: 76.95 }],
+    totals: { total_amount: 1008.9, total_quantity: 10 },
+  };
+  const mismatches = findPricingMismatches(
+    [{ id: 7, sent: { gross_amount: '855.005', cgst: 80 } }, { id: 99, sent: { cgst: 1 } }],
+    { total_amount: 1000, total_quantity: '' },
+    pricing
+  );
+  assert.deepEqual(mismatches, [
+    { line_id: 7, item_code: 'A1', field: 'cgst', sent: 80, expected: 76.95 },
+    { field: 'total_amount', sent: 1000, expected: 1008.9 },
+  ]);
+});
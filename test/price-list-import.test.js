@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodePriceListFile,
+  parseCsv,
+  normalizeGstRate,
+  normalizeRate,
+  parsePriceList,
+  planPriceListImport,
+  applyPriceListImport,
+} from '../price-list-import.js';
+
+const HEADER = 'S.No,Item_Code,Stock_Item_Name,HSN_Code,GST%,Selling_rate';
+
+test('parseCsv handles quotes, doubled quotes, line breaks in fields and CRLF', () => {
+  const records = parseCsv('﻿a,b,c\r\n1,"x, ""y""",z\r\n2,"multi\nline",w\r\n\r\n,,\n3,last,');
+  assert.deepEqual(records, [
+    { line: 1, fields: ['a', 'b', 'c'] },
+    { line: 2, fields: ['1', 'x, "y"', 'z'] },
+    { line: 3, fields: ['2', 'multi\nline', 'w'] },
+    { line: 7, fields: ['3', 'last', ''] },
+  ]);
+});
+
+test('Windows-1252 files are decoded when they are not valid UTF-8', () => {
+  assert.equal(decodePriceListFile(Buffer.from('Rate ₹', 'utf8')), 'Rate ₹');
+  assert.equal(decodePriceListFile(Buffer.from([0x43, 0x61, 0x66, 0xe9])), 'Café');
+});
+
+test('GST and rates are normalized from the spreadsheet formats', () => {
+  assert.equal(normalizeGstRate('18 %'), 18);
+  assert.equal(normalizeGstRate(' '), null);
+  assert.ok(Number.isNaN(normalizeGstRate('eighteen')));
+  assert.equal(normalizeRate(' ₹1,250.456 '), 1250.46);
+  assert.equal(normalizeRate(''), null);
+  assert.ok(Number.isNaN(normalizeRate('-5')));
+});
+
+test('parsePriceList keeps valid rows and explains every reject', () => {
+  const csv = [
+    HEADER,
+    '1,RD315,"Rod  3.15 ",8311.10.00,18 %," 1,250.00 "',
+    '2,,Nameless code,,18,10',
+    '3,BAD CODE,Spaces,,18,10',
+    '4,rd315,Duplicate in another case,,18,10',
+    '5,FLX1,Flux,12345,12 %,abc',
+    '6,WR9,Wire,,,',
+    '7,PW2,Powder,,40,99',
+  ].join('\n');
+
+  const parsed = parsePriceList(csv);
+  assert.equal(parsed.total, 7);
+  assert.deepEqual(parsed.rows, [
+    { line: 2, item_code: 'RD315', stock_item_name: 'Rod 3.15', hsn: '83111000', gst: 18, rate: 1250 },
+    { line: 8, item_code: 'PW2', stock_item_name: 'Powder', hsn: null, gst: 40, rate: 99 },
+  ]);
+  assert.deepEqual(parsed.rejects.map(reject => [reject.line, reject.reasons]), [
+    [3, ['Item code is missing']],
+    [4, ['Item code "BAD CODE" contains invalid characters']],
+    [5, ['Duplicate item code, first seen on line 2']],
+    [6, ['HSN "12345" must be 4, 6 or 8 digits', 'GST 12% is not a valid GST slab', 'Selling rate "abc" must be a positive number']],
+    [7, ['Selling rate is missing']],
+  ]);
+});
+
+test('parsePriceList refuses files without the required columns', () => {
+  assert.throws(() => parsePriceList('Code,Name\nA1,Thing'), { status: 400, message: /missing column\(s\): rate/ });
+  assert.throws(() => parsePriceList('\n \n'), { status: 400, message: 'Price list is empty' });
+});
+
+// Answers the stock_item lookup the way Postgres would for UPPER(item_code) = ANY($1)
+const fakeStockDb = (stockItems) => ({
+  query: async (sql, params) => {
+    assert.match(sql, /UPPER\(item_code\) = ANY/);
+    return { rows: stockItems.filter(item => params[0].includes(item.item_code.toUpperCase())) };
+  },
+});
+
+test('the plan matches item codes regardless of case and updates by the stored code', async () => {
+  const parsed = parsePriceList([
+    HEADER,
+    '1,rd315,Rod 3.15,,18,130',
+    '2,FLX1,Flux,,18,40',
+    '3,NEW1,New item,,5,10',
+  ].join('\n'));
+  const db = fakeStockDb([
+    { item_code: 'RD315', stock_item_name: 'Rod 3.15', hsn: '83111000', gst: '18', rate: '120.00' },
+    { item_code: 'flx1', stock_item_name: 'Flux', hsn: null, gst: '18.00', rate: '40' },
+  ]);
+
+  const plan = await planPriceListImport(db, parsed);
+  assert.deepEqual(plan.summary, { total: 3, inserts: 1, updates: 1, unchanged: 1, rejects: 0 });
+  assert.equal(plan.updates[0].item_code, 'RD315');
+  assert.deepEqual(plan.updates[0].changes, { rate: { from: '120.00', to: 130 } });
+  assert.deepEqual(plan.unchanged, [{ line: 3, item_code: 'flx1' }]);
+  assert.equal(plan.inserts[0].item_code, 'NEW1');
+});
+
+test('applying a plan updates only the changed fields and inserts new items', async () => {
+  const queries = [];
+  const client = {
+    query: async (sql, params) => {
+      queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return { rows: [{ item_code: params[0] }] };
+    },
+  };
+  const plan = {
+    updates: [{ item_code: 'RD315', rate: 130, gst: 18, changes: { rate: { from: '120', to: 130 } } }],
+    inserts: [{ item_code: 'NEW1', stock_item_name: 'New item', hsn: null, gst: 5, rate: 10 }],
+  };
+
+  const changes = await applyPriceListImport(client, plan);
+  assert.deepEqual(changes.map(change => [change.action, change.key]), [['update', 'RD315'], ['create', 'NEW1']]);
+  assert.equal(queries[1].sql, 'UPDATE stock_item SET rate = $2 WHERE item_code = $1 RETURNING *');
+  assert.deepEqual(queries[1].params, ['RD315', 130]);
+  assert.deepEqual(queries[2].params, ['NEW1', 'New item', 'General', null, 5, null, 10]);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createOrderSchema,
+  updateOrderSchema,
+  orderStatusSchema,
+  customerUpdateSchema,
+  adminSignupSchema,
+  validateBody,
+} from '../request-schemas.js';
+
+const orderLine = (overrides = {}) => ({
+  customer_code: ' CUST001 ',
+  item_code: 'RD315',
+  quantity: '2',
+  date: '2025-04-01',
+  ...overrides,
+});
+
+// Runs the middleware the way Express would and reports what happened
+const runValidation = (schema, body) => {
+  const req = { body };
+  const outcome = { next: false, status: null, json: null };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(payload) { outcome.json = payload; return this; },
+  };
+  validateBody(schema)(req, res, () => { outcome.next = true; });
+  return { ...outcome, body: req.body };
+};
+
+test('new order lines come out trimmed and with numbers as numbers', () => {
+  const [line] = createOrderSchema.parse([orderLine({ rate: '1,250.50', gst: '18 %', disc_percentage: '', hsn: 83111000 })]);
+  assert.equal(line.customer_code, 'CUST001');
+  assert.equal(line.quantity, 2);
+  assert.equal(line.rate, 1250.5);
+  assert.equal(line.gst, 18);
+  assert.equal(line.disc_percentage, undefined);
+  assert.equal(line.hsn, '83111000');
+});
+
+test('new orders reject retired GST slabs, bad dates and missing quantities', () => {
+  const result = createOrderSchema.safeParse([
+    orderLine({ gst: 28 }),
+    orderLine({ date: '2025-02-30', quantity: '' }),
+  ]);
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error.issues.map(issue => [issue.path.join('.'), issue.message]), [
+    ['0.gst', 'GST must be one of the slabs: 0, 0.1, 0.25, 1.5, 3, 5, 18, 40'],
+    ['1.quantity', 'Quantity is required'],
+    ['1.date', 'Order date must be a valid date in YYYY-MM-DD format'],
+  ]);
+});
+
+test('all lines of a new order belong to one customer and only draft or pending is allowed', () => {
+  const mixed = createOrderSchema.safeParse([orderLine(), orderLine({ customer_code: 'OTHER' })]);
+  assert.deepEqual(mixed.error.issues.map(issue => [issue.path.join('.'), issue.message]), [
+    ['1.customer_code', 'All lines of an order must have the same customer code'],
+  ]);
+  const approved = createOrderSchema.safeParse([orderLine({ status: 'approved' })]);
+  assert.equal(approved.error.issues[0].message, 'New orders can only be saved as draft or pending');
+  assert.equal(createOrderSchema.safeParse([]).error.issues[0].message, 'No orders provided');
+  assert.equal(createOrderSchema.safeParse({}).error.issues[0].message, 'Request body must be an array of order lines');
+});
+
+test('order updates need item and quantity only on new lines', () => {
+  assert.equal(updateOrderSchema.safeParse([{ id: '12', quantity: '3' }, { id: 13, _deleted: true }]).success, true);
+
+  const result = updateOrderSchema.safeParse([{ remarks: 'new line' }, { id: 1.5 }, { id: 4, disc_percentage: 120 }]);
+  assert.deepEqual(result.error.issues.map(issue => [issue.path.join('.'), issue.message]), [
+    ['0.item_code', 'Item code is required'],
+    ['0.quantity', 'Quantity is required'],
+    ['1.id', 'id must be a whole number'],
+    ['2.disc_percentage', 'Discount % cannot exceed 100'],
+  ]);
+});
+
+test('status changes need a status', () => {
+  assert.deepEqual(orderStatusSchema.parse({ status: ' approved ' }), { status: 'approved' });
+  assert.equal(orderStatusSchema.safeParse({ reason: 'x' }).error.issues[0].message, 'Status is required');
+});
+
+test('customer updates check the customer type, mobile number and email', () => {
+  assert.deepEqual(customerUpdateSchema.parse({ email: '', customer_type: 'Distributor', unknown: 1 }), {
+    email: null,
+    customer_type: 'Distributor',
+  });
+  const result = customerUpdateSchema.safeParse({ customer_type: 'reseller', mobile_number: '98x', status: 'gone' });
+  assert.deepEqual(result.error.issues.map(issue => issue.path[0]).sort(), ['customer_type', 'mobile_number', 'status']);
+});
+
+test('admin signup requires a username and a valid email', () => {
+  assert.equal(adminSignupSchema.safeParse({ username: 'ops', email: 'ops@example.com', mobile_number: '' }).success, true);
+  const result = adminSignupSchema.safeParse({ email: 'nope', mobile_number: '12' });
+  assert.deepEqual(result.error.issues.map(issue => issue.path[0]).sort(), ['email', 'mobile_number', 'username']);
+});
+
+test('validateBody answers 400 with one detail per field, or passes the parsed body on', () => {
+  const rejected = runValidation(createOrderSchema, [orderLine({ quantity: 0 })]);
+  assert.equal(rejected.next, false);
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.json, {
+    error: 'Invalid request body',
+    details: [{ field: '[0].quantity', message: 'Quantity must be greater than 0' }],
+  });
+
+  const accepted = runValidation(orderStatusSchema, { status: 'approved', reason: ' ok ' });
+  assert.equal(accepted.next, true);
+  assert.deepEqual(accepted.body, { status: 'approved', reason: 'ok' });
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import { EXPORT_DEFINITIONS, selectExportColumns, streamExport } from '../spreadsheet-export.js';
+
+// A pool whose cursor hands out the given batches, and a response that keeps what is written
+const fakePool = (batches) => {
+  const pending = [...batches];
+  const pool = { released: false, closed: false };
+  pool.connect = async () => ({
+    query: () => ({
+      read: (size, callback) => callback(null, pending.shift() || []),
+      close: (callback) => { pool.closed = true; callback(); },
+    }),
+    release: () => { pool.released = true; },
+  });
+  return pool;
+};
+
+const fakeResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    },
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.text = () => chunks.join('');
+  return res;
+};
+
+const exportCsv = async (columns, batches, options = {}) => {
+  const pool = fakePool(batches);
+  const res = fakeResponse();
+  await streamExport({ pool, res, sql: 'SELECT 1', params: [], columns, format: 'csv', filename: 'orders', sheetName: 'Orders', ...options });
+  return { pool, res, lines: res.text().replace(/^﻿/, '').split('\r\n') };
+};
+
+test('selectExportColumns picks columns in the requested order and rejects unknown ones', () => {
+  const columns = selectExportColumns(EXPORT_DEFINITIONS.stock_item, ' rate, item_code ');
+  assert.deepEqual(columns.map(column => column.key), ['rate', 'item_code']);
+  assert.equal(selectExportColumns(EXPORT_DEFINITIONS.stock_item), EXPORT_DEFINITIONS.stock_item.columns);
+  assert.throws(() => selectExportColumns(EXPORT_DEFINITIONS.stock_item, 'rate,price'), {
+    status: 400,
+    message: /Unknown export column\(s\): price/,
+  });
+});
+
+test('CSV exports use Indian dates and number grouping by default', async () => {
+  const columns = selectExportColumns(EXPORT_DEFINITIONS.orders, 'order_no,order_date,quantity,total_amount,created_at');
+  const { res, lines, pool } = await exportCsv(columns, [
+    [{ order_no: 'SQ-01-04-25-0001', order_date: new Date(2025, 3, 1), quantity: '2.5', total_amount: '1234567.891', created_at: new Date(2025, 3, 1, 9, 5) }],
+    [{ order_no: 'SQ-02-04-25-0001', order_date: null, quantity: '-3', total_amount: 'n/a', created_at: null }],
+  ]);
+
+  assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.equal(res.headers['Content-Disposition'], 'attachment; filename="orders.csv"');
+  assert.ok(res.text().startsWith('﻿'));
+  assert.deepEqual(lines, [
+    'Order No,Order Date,Quantity,Order Total,Created At',
+    'SQ-01-04-25-0001,01-04-2025,2.500,"12,34,567.89",01-04-2025 09:05',
+    'SQ-02-04-25-0001,,-3.000,n/a,',
+    '',
+  ]);
+  assert.equal(pool.closed, true);
+  assert.equal(pool.released, true);
+});
+
+test('indian=false gives ISO dates and plain numbers', async () => {
+  const columns = selectExportColumns(EXPORT_DEFINITIONS.orders, 'order_date,total_amount');
+  const { lines } = await exportCsv(columns, [[{ order_date: new Date(2025, 3, 1), total_amount: -1234.5 }]], { indian: false });
+  assert.equal(lines[1], '2025-04-01,-1234.50');
+});
+
+test('text a spreadsheet would run as a formula is quoted, quotes and commas are escaped', async () => {
+  const columns = selectExportColumns(EXPORT_DEFINITIONS.customer, 'customer_name,mobile_number,email');
+  const { lines } = await exportCsv(columns, [[
+    { customer_name: '=HYPERLINK("http://evil","x")', mobile_number: '+91 98400 12345', email: '@SUM(1+1)' },
+    { customer_name: '-2+3', mobile_number: '\t=1+1', email: '\r=cmd' },
+    { customer_name: 'Acme, "Chennai"', mobile_number: '-', email: 'a=b@example.com' },
+  ]]);
+
+  assert.deepEqual(lines.slice(1, -1), [
+    `"'=HYPERLINK(""http://evil"",""x"")",'+91 98400 12345,'@SUM(1+1)`,
+    `'-2+3,'\t=1+1,"'\r=cmd"`,
+    `"Acme, ""Chennai""",'-,a=b@example.com`,
+  ]);
+});
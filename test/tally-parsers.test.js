@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  unescapeXml,
+  fromTallyDate,
+  addDays,
+  parseTallyQuantity,
+  parseTallyRate,
+  parseTallyAmount,
+  maxAlterId,
+  diffSyncRecord,
+  parseTallyImportResponse,
+  parseTallyPriceLists,
+  parseTallyGodownStock,
+  parseTallyStockAvailability,
+  creditPeriodDueDate,
+  parseTallyDebtorLedgers,
+  parseTallyBills,
+} from '../tally-parsers.js';
+
+test('XML values: entities, dates, quantities, rates and amounts', () => {
+  assert.equal(unescapeXml('A &amp; B &lt;C&gt; &quot;D&quot; &apos;E&apos;'), `A & B <C> "D" 'E'`);
+  assert.equal(unescapeXml(undefined), '');
+  assert.equal(fromTallyDate(' 20250401 '), '2025-04-01');
+  assert.equal(fromTallyDate('1-Apr-2025'), null);
+  assert.equal(addDays('2025-02-20', 10), '2025-03-02');
+  assert.deepEqual(parseTallyQuantity(' -1,212.50 Nos'), { qty: -1212.5, unit: 'Nos' });
+  assert.deepEqual(parseTallyQuantity('12'), { qty: 12, unit: null });
+  assert.deepEqual(parseTallyQuantity(''), { qty: 0, unit: null });
+  assert.equal(parseTallyRate('150.00/Nos'), 150);
+  assert.equal(parseTallyRate(''), null);
+  assert.equal(parseTallyAmount('-25,000.00'), -25000);
+  assert.equal(parseTallyAmount(null), 0);
+});
+
+test('maxAlterId finds the highest ALTERID anywhere in the response', () => {
+  const xml = `<LEDGER><ALTERID> 17</ALTERID></LEDGER><STOCKITEM><ALTERID TYPE="Number">204</ALTERID></STOCKITEM>`;
+  assert.equal(maxAlterId(xml), 204);
+  assert.equal(maxAlterId(''), 0);
+});
+
+test('diffSyncRecord reports real changes only and never blanks a field', () => {
+  const existing = { stock_item_name: 'Rod 3.15', gst: '18.00', rate: '120', hsn: '83111000' };
+  const incoming = { stock_item_name: ' Rod 3.15 ', gst: 18, rate: '125.50', hsn: '' };
+  assert.deepEqual(diffSyncRecord(existing, incoming, ['stock_item_name', 'gst', 'rate', 'hsn', 'uom']), {
+    rate: { from: '120', to: 125.5 },
+  });
+});
+
+test('parseTallyImportResponse reads the counters and line errors', () => {
+  const xml = `<RESPONSE><CREATED>1</CREATED><ALTERED>0</ALTERED><CANCELLED>2</CANCELLED>
+    <ERRORS>1</ERRORS><EXCEPTIONS>1</EXCEPTIONS>
+    <LINEERROR> Ledger 'Sales' does not exist! </LINEERROR><LINEERROR></LINEERROR></RESPONSE>`;
+  assert.deepEqual(parseTallyImportResponse(xml), {
+    created: 1,
+    altered: 0,
+    cancelled: 2,
+    errors: 2,
+    lineErrors: ["Ledger 'Sales' does not exist!"],
+  });
+  assert.deepEqual(parseTallyImportResponse(undefined), { created: 0, altered: 0, cancelled: 0, errors: 0, lineErrors: [] });
+});
+
+test('parseTallyPriceLists gives one row per slab and keeps items whose list is empty', () => {
+  const xml = `
+    <STOCKITEM NAME="Rod 3.15">
+      <MAILINGNAME.LIST><MAILINGNAME>RD315</MAILINGNAME></MAILINGNAME.LIST>
+      <FULLPRICELIST.LIST>
+        <DATE>20250401</DATE>
+        <PRICELEVEL>Distributor</PRICELEVEL>
+        <PRICELEVELLIST.LIST>
+          <STARTINGFROM></STARTINGFROM><ENDINGAT>10 Nos</ENDINGAT>
+          <RATE>150.00/Nos</RATE><DISCOUNT>5 %</DISCOUNT>
+        </PRICELEVELLIST.LIST>
+        <PRICELEVELLIST.LIST>
+          <DATE>20250501</DATE>
+          <STARTINGFROM>10 Nos</STARTINGFROM><ENDINGAT></ENDINGAT>
+          <RATE>140.00/Nos</RATE>
+        </PRICELEVELLIST.LIST>
+        <PRICELEVELLIST.LIST><RATE></RATE></PRICELEVELLIST.LIST>
+      </FULLPRICELIST.LIST>
+    </STOCKITEM>
+    <STOCKITEM NAME="Flux"><MAILINGNAME>FLX1</MAILINGNAME></STOCKITEM>
+    <STOCKITEM NAME="No code"><FULLPRICELIST.LIST><PRICELEVEL>Direct</PRICELEVEL></FULLPRICELIST.LIST></STOCKITEM>`;
+
+  const { rows, itemCodes } = parseTallyPriceLists(xml);
+  assert.deepEqual(itemCodes, ['RD315', 'FLX1']);
+  assert.deepEqual(rows, [
+    { item_code: 'RD315', price_level: 'Distributor', effective_date: '2025-04-01', slab_from: 0, slab_to: 10, rate: 150, discount: 5 },
+    { item_code: 'RD315', price_level: 'Distributor', effective_date: '2025-05-01', slab_from: 10, slab_to: null, rate: 140, discount: 0 },
+  ]);
+});
+
+const STOCK_XML = `
+  <STOCKITEM NAME="Rod &amp; Wire">
+    <MAILINGNAME>RW01</MAILINGNAME><BASEUNITS>Kg</BASEUNITS>
+    <CLOSINGBALANCE> 42.500 Kg</CLOSINGBALANCE>
+  </STOCKITEM>
+  <STOCKITEM NAME="Flux">
+    <MAILINGNAME>FLX1</MAILINGNAME><BASEUNITS>Nos</BASEUNITS>
+    <CLOSINGBALANCE></CLOSINGBALANCE>
+  </STOCKITEM>`;
+
+const GODOWN_XML = `
+  <BATCH NAME="Primary Batch"><PARENT>Rod &amp; Wire</PARENT><GODOWNNAME>Chennai</GODOWNNAME><CLOSINGBALANCE>20 Kg</CLOSINGBALANCE></BATCH>
+  <BATCH NAME="B2"><PARENT>Rod &amp; Wire</PARENT><GODOWNNAME>Chennai</GODOWNNAME><CLOSINGBALANCE>2.5 Kg</CLOSINGBALANCE></BATCH>
+  <BATCH NAME="B3"><PARENT>Rod &amp; Wire</PARENT><GODOWNNAME>Pune</GODOWNNAME><CLOSINGBALANCE>20</CLOSINGBALANCE></BATCH>
+  <BATCH NAME="B4"><PARENT>Flux</PARENT><GODOWNNAME></GODOWNNAME><CLOSINGBALANCE>5 Nos</CLOSINGBALANCE></BATCH>`;
+
+test('parseTallyGodownStock adds up the batches of an item per godown', () => {
+  const stock = parseTallyGodownStock(GODOWN_XML);
+  assert.deepEqual([...stock.keys()], ['Rod & Wire']);
+  assert.deepEqual(Object.fromEntries(stock.get('Rod & Wire')), {
+    Chennai: { qty: 22.5, unit: 'Kg' },
+    Pune: { qty: 20, unit: null },
+  });
+});
+
+test('parseTallyStockAvailability gives the item total plus one row per godown', () => {
+  assert.deepEqual(parseTallyStockAvailability(STOCK_XML, GODOWN_XML), [
+    { item_code: 'RW01', stock_item_name: 'Rod & Wire', godown: '', closing_qty: 42.5, uom: 'Kg' },
+    { item_code: 'RW01', stock_item_name: 'Rod & Wire', godown: 'Chennai', closing_qty: 22.5, uom: 'Kg' },
+    { item_code: 'RW01', stock_item_name: 'Rod & Wire', godown: 'Pune', closing_qty: 20, uom: 'Kg' },
+    { item_code: 'FLX1', stock_item_name: 'Flux', godown: '', closing_qty: 0, uom: 'Nos' },
+  ]);
+});
+
+test('creditPeriodDueDate understands days, bare numbers, Tally dates and display dates', () => {
+  assert.equal(creditPeriodDueDate('2025-04-10', '30 Days'), '2025-05-10');
+  assert.equal(creditPeriodDueDate('2025-04-10', '1 Day'), '2025-04-11');
+  assert.equal(creditPeriodDueDate('2025-04-10', ' 45 '), '2025-05-25');
+  assert.equal(creditPeriodDueDate('2025-04-10', '20250615'), '2025-06-15');
+  assert.equal(creditPeriodDueDate('2025-04-10', '5-Jun-2025'), '2025-06-05');
+  assert.equal(creditPeriodDueDate('2025-04-10', '15-jun-25'), '2025-06-15');
+  assert.equal(creditPeriodDueDate('2025-04-10', 'On delivery'), null);
+  assert.equal(creditPeriodDueDate('2025-04-10', '5-Foo-2025'), null);
+});
+
+test('parseTallyDebtorLedgers takes the customer code from the alias', () => {
+  const xml = `
+    <LEDGER NAME="Acme &amp; Sons">
+      <NAME.LIST><NAME>Acme &amp; Sons</NAME><NAME>CUST001</NAME></NAME.LIST>
+      <CREDITLIMIT>-5,00,000.00</CREDITLIMIT>
+      <CLOSINGBALANCE>-1,25,000.50</CLOSINGBALANCE>
+    </LEDGER>
+    <LEDGER NAME="Walk-in"><NAME>Walk-in</NAME><CLOSINGBALANCE>200</CLOSINGBALANCE></LEDGER>`;
+
+  const ledgers = parseTallyDebtorLedgers(xml);
+  assert.deepEqual(ledgers.get('Acme & Sons'), {
+    ledger_name: 'Acme & Sons',
+    customer_code: 'CUST001',
+    credit_limit: 500000,
+    outstanding: 125000.5,
+    bills: [],
+  });
+  assert.equal(ledgers.get('Walk-in').customer_code, null);
+  assert.equal(ledgers.get('Walk-in').outstanding, -200);
+});
+
+test('parseTallyBills keeps open debit bills and falls back to the default credit days', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const xml = `
+    <BILL NAME="INV/001"><PARENT>Acme &amp; Sons</PARENT><BILLDATE>20250401</BILLDATE>
+      <CLOSINGBALANCE>-10,000.00</CLOSINGBALANCE><BILLCREDITPERIOD>45 Days</BILLCREDITPERIOD></BILL>
+    <BILL NAME="INV/002"><PARENT>Acme &amp; Sons</PARENT><BILLDATE>20250402</BILLDATE>
+      <CLOSINGBALANCE>-500.00</CLOSINGBALANCE><BILLCREDITPERIOD></BILLCREDITPERIOD></BILL>
+    <BILL NAME="INV/003"><PARENT>Acme &amp; Sons</PARENT><BILLDATE>20250403</BILLDATE>
+      <CLOSINGBALANCE>-250.00</CLOSINGBALANCE><BILLCREDITPERIOD>Against delivery</BILLCREDITPERIOD></BILL>
+    <BILL NAME="ADV/001"><PARENT>Acme &amp; Sons</PARENT><BILLDATE>20250404</BILLDATE>
+      <CLOSINGBALANCE>1,000.00</CLOSINGBALANCE></BILL>
+    <BILL NAME="OLD/001"><PARENT>Acme &amp; Sons</PARENT><CLOSINGBALANCE>-90.00</CLOSINGBALANCE></BILL>`;
+
+  const bills = parseTallyBills(xml);
+  assert.deepEqual(bills, [
+    { bill_ref: 'INV/001', ledger_name: 'Acme & Sons', bill_date: '2025-04-01', due_date: '2025-05-16', amount: 10000 },
+    { bill_ref: 'INV/002', ledger_name: 'Acme & Sons', bill_date: '2025-04-02', due_date: '2025-05-02', amount: 500 },
+    { bill_ref: 'INV/003', ledger_name: 'Acme & Sons', bill_date: '2025-04-03', due_date: '2025-05-03', amount: 250 },
+  ]);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /"Against delivery" x1/);
+});
@@ -0,0 +1,206 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+// ✅ OUTGOING WEBHOOKS
+// Events are written to webhook_deliveries (one row per matching subscription), inside the
+// caller's transaction where there is one, and a worker POSTs them afterwards. The Tally
+// sync service only queues; the API server's worker does all the sending.
+//
+// Each POST carries:
+//   X-Webhook-Event      order.created, customer.updated, ...
+//   X-Webhook-Delivery   delivery id, stable across retries so receivers can de-duplicate
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the subscription secret>
+//
+// Receivers must be public hosts: loopback, private, link-local (cloud metadata) and other
+// reserved addresses are refused when subscribing and again on every send, after DNS
+// resolution. Only the status code and a short error are kept, never the response body.
+
+export const WEBHOOK_EVENTS = [
+  'order.created',
+  'order.updated',
+  'order.status_changed',
+  'customer.created',
+  'customer.updated',
+  'item.created',
+  'item.updated',
+];
+
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Minutes to wait after the 1st, 2nd, ... failed attempt
+const RETRY_BACKOFF_MINUTES = [1, 5, 15, 30, 60, 180, 360];
+
+const WEBHOOK_ERROR_MAX_LENGTH = 200;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  // ::ffff:127.0.0.1 is 127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const blockedAddressError = (hostname, address) => {
+  const err = new Error(hostname === address
+    ? `${address} is not a public address`
+    : `${hostname} resolves to ${address}, which is not a public address`);
+  err.code = 'EWEBHOOKADDRESS';
+  err.status = 400;
+  return err;
+};
+
+// Resolves the URL's host and throws (status 400) when any address it has is not public
+export const assertPublicWebhookUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true }).catch(err => {
+      const lookupError = new Error(`Cannot resolve ${hostname}: ${err.code || err.message}`);
+      lookupError.status = 400;
+      throw lookupError;
+    });
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) throw blockedAddressError(hostname, blocked.address);
+};
+
+// Used for the connection itself, so a host cannot resolve differently between the check and the send
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// "*" subscribes to everything; anything else must be a known event
+export const invalidWebhookEvents = (eventTypes) =>
+  eventTypes.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+
+// Queues `event` for every active subscription that wants it and returns how many were queued.
+// The body is stored as sent, so a replay is signed over exactly the same bytes.
+export const enqueueWebhookEvent = async (db, event, data) => {
+  const body = JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data,
+  });
+
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event, payload)
+     SELECT id, $1, $2 FROM webhook_subscriptions
+     WHERE active AND ($1 = ANY(event_types) OR '*' = ANY(event_types))`,
+    [event, body]
+  );
+  return result.rowCount;
+};
+
+// One HTTP attempt for a claimed delivery; the outcome is written back and never thrown
+export const attemptWebhookDelivery = async (db, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    await assertPublicWebhookUrl(delivery.url);
+    const response = await axios.post(delivery.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Castolin-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(delivery.secret, timestamp, delivery.payload),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: publicOnlyLookup,
+      // The body is never read or stored
+      responseType: 'stream',
+      // Send the stored string untouched, axios would otherwise re-serialize it
+      transformRequest: [(body) => body],
+      validateStatus: () => true,
+    });
+    statusCode = response.status;
+    response.data.destroy();
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = (err.code ? `${err.code}: ${err.message}` : err.message).slice(0, WEBHOOK_ERROR_MAX_LENGTH);
+  }
+
+  const attempts = delivery.attempts + 1;
+  const delivered = !error;
+  const giveUp = !delivered && attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const delay = RETRY_BACKOFF_MINUTES[Math.min(attempts, RETRY_BACKOFF_MINUTES.length) - 1];
+
+  await db.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+         last_duration_ms = $6, last_attempt_at = NOW(),
+         delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+         next_attempt_at = NOW() + ($7 || ' minutes')::interval
+     WHERE id = $1`,
+    [
+      delivery.id,
+      delivered ? 'delivered' : giveUp ? 'failed' : 'pending',
+      attempts,
+      statusCode,
+      error,
+      Date.now() - started,
+      String(delay),
+    ]
+  );
+
+  if (!delivered) {
+    console.error(`🪝 Webhook ${delivery.id} (${delivery.event} → ${delivery.url}) failed, attempt ${attempts}/${WEBHOOK_MAX_ATTEMPTS}: ${error}`);
+  }
+  return delivered;
+};
+
+// Claims due deliveries so two workers never send the same one, then sends them
+export const processWebhookDeliveries = async (db, { limit = 20 } = {}) => {
+  const claimed = await db.query(
+    `WITH due AS (
+       UPDATE webhook_deliveries SET status = 'sending'
+       WHERE id IN (
+         SELECT d.id FROM webhook_deliveries d
+         JOIN webhook_subscriptions s ON s.id = d.subscription_id AND s.active
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+         ORDER BY d.next_attempt_at
+         LIMIT $1
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       RETURNING *
+     )
+     SELECT due.*, s.url, s.secret
+     FROM due JOIN webhook_subscriptions s ON s.id = due.subscription_id
+     ORDER BY due.id`,
+    [limit]
+  );
+
+  let delivered = 0;
+  for (const delivery of claimed.rows) {
+    if (await attemptWebhookDelivery(db, delivery)) delivered++;
+  }
+  return { attempted: claimed.rows.length, delivered };
+};